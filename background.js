@@ -0,0 +1,98 @@
+// Langara Swing Schedule Exporter
+// Background service worker: saves exported files with chrome.downloads and
+// reports the download's actual result back to the content script.
+
+importScripts('settings.js', 'term-calendar.js', 'campus-directory.js', 'meeting-types.js', 'core.js');
+
+(function() {
+  'use strict';
+
+  const { MESSAGE_TYPES } = self.LangaraCore;
+
+  // chrome.downloads error for a download the user cancelled (including the Save As dialog)
+  const CANCELLED_ERROR = 'USER_CANCELED';
+
+  /**
+   * Waits for a download to finish
+   * @param {number} downloadId - Id from chrome.downloads.download
+   * @returns {Promise<Object>} {ok: true, filename} or {ok: false, error, cancelled}
+   */
+  function waitForDownload(downloadId) {
+    return new Promise(resolve => {
+      const finish = (result) => {
+        chrome.downloads.onChanged.removeListener(onChanged);
+        resolve(result);
+      };
+
+      const check = async () => {
+        const [item] = await chrome.downloads.search({ id: downloadId });
+        if (!item) {
+          finish({ ok: false, error: 'The download disappeared before it finished.' });
+        } else if (item.state === 'complete') {
+          finish({ ok: true, filename: item.filename });
+        } else if (item.state === 'interrupted') {
+          finish({ ok: false, error: item.error, cancelled: item.error === CANCELLED_ERROR });
+        }
+      };
+
+      const onChanged = (delta) => {
+        if (delta.id === downloadId && delta.state) {
+          check();
+        }
+      };
+
+      chrome.downloads.onChanged.addListener(onChanged);
+      // The download may already be over by the time the listener is added
+      check();
+    });
+  }
+
+  /**
+   * Saves a file through chrome.downloads
+   * @param {Object} request - {content, encoding ('text' or 'base64'), filename, mimeType, saveAs}
+   * @returns {Promise<Object>} {ok: true, filename} or {ok: false, error, cancelled}
+   */
+  async function saveFile(request) {
+    // Service workers can't create blob URLs, so the file travels as a data URL
+    const url = request.encoding === 'base64'
+      ? `data:${request.mimeType};base64,${request.content}`
+      : `data:${request.mimeType},${encodeURIComponent(request.content)}`;
+
+    try {
+      const downloadId = await chrome.downloads.download({
+        url,
+        filename: request.filename,
+        saveAs: Boolean(request.saveAs),
+        conflictAction: 'uniquify'
+      });
+      if (downloadId === undefined) {
+        return { ok: false, error: 'The browser did not start the download.' };
+      }
+      return await waitForDownload(downloadId);
+    } catch (error) {
+      // Closing the Save As dialog rejects with "Download canceled"
+      const cancelled = /cancel/i.test(error.message);
+      if (!cancelled) {
+        console.error('Error saving export:', error);
+      }
+      return { ok: false, error: error.message, cancelled };
+    }
+  }
+
+  /**
+   * Answers download requests from the content script
+   * @param {Object} request - {type} from MESSAGE_TYPES, plus that message's fields
+   * @param {Object} sender - Message sender
+   * @param {Function} sendResponse - Called with the reply
+   * @returns {boolean} True when the reply is sent asynchronously
+   */
+  function handleMessage(request, sender, sendResponse) {
+    if (request && request.type === MESSAGE_TYPES.DOWNLOAD) {
+      saveFile(request).then(sendResponse);
+      return true;
+    }
+    return false;
+  }
+
+  chrome.runtime.onMessage.addListener(handleMessage);
+})();
@@ -0,0 +1,298 @@
+// Langara Swing Schedule Exporter
+// Banner 9 adapter: reads the schedule from Banner 9 Student Registration
+// Self-Service (StudentRegistrationSsb), which renders it client-side from JSON
+// endpoints instead of the Banner 8 "datadisplaytable". The JSON is mapped into
+// the same session objects parseCourseTable returns, so every export works as is.
+// Shared by the content script (as self.LangaraBanner9) and the command line
+// tool (as a CommonJS module).
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./core.js'));
+  } else {
+    root.LangaraBanner9 = factory(root.LangaraCore);
+  }
+})(typeof self !== 'undefined' ? self : this, function(LangaraCore) {
+  'use strict';
+
+  const { resolveMeetingType, formatBannerDate, buildCourseCode, logDebug } = LangaraCore;
+
+  // Path of the registration app; everything before it is the server
+  const BANNER9_APP_PATH = '/StudentRegistrationSsb/ssb/';
+
+  // JSON endpoints, relative to BANNER9_APP_PATH
+  const BANNER9_ENDPOINTS = {
+    // Registered sections as calendar events (one per section and week), for the term in termFilter
+    registrationEvents: 'classRegistration/getRegistrationEvents',
+    // Meeting times and instructors of one section: {fmt: [{meetingTime, faculty}]}
+    meetingTimes: 'searchResults/getFacultyMeetingTimes'
+  };
+
+  // Banner 9 meetingTime day flags, in Banner 8 day string order (M T W R F S U)
+  const BANNER9_DAYS = [
+    ['monday', 'M'], ['tuesday', 'T'], ['wednesday', 'W'], ['thursday', 'R'],
+    ['friday', 'F'], ['saturday', 'S'], ['sunday', 'U']
+  ];
+
+  /**
+   * Checks whether a page belongs to Banner 9 Student Registration Self-Service
+   * @param {string} url - Page address
+   * @returns {boolean} True for Banner 9 registration pages
+   */
+  function isBanner9Page(url) {
+    return String(url || '').toLowerCase().includes(BANNER9_APP_PATH.toLowerCase());
+  }
+
+  /**
+   * Finds the registration app's base address from any address inside it
+   * @param {string} url - Page or endpoint address (e.g. ".../StudentRegistrationSsb/ssb/registrationHistory/registrationHistory")
+   * @returns {string|null} Address ending in "/StudentRegistrationSsb/ssb/", or null outside Banner 9
+   */
+  function getBanner9BaseUrl(url) {
+    const text = String(url || '');
+    const index = text.toLowerCase().indexOf(BANNER9_APP_PATH.toLowerCase());
+    return index < 0 ? null : text.substring(0, index + BANNER9_APP_PATH.length);
+  }
+
+  /**
+   * Finds a term code in addresses the page has loaded (term, termFilter or term_in parameters)
+   * The most recent address wins, since the student may have switched terms since the page opened
+   * @param {string[]} urls - Page address and the addresses of requests it made, oldest first
+   * @returns {string|null} Banner term code (e.g. "202430"), or null
+   */
+  function findBanner9Term(urls) {
+    const list = urls || [];
+    for (let i = list.length - 1; i >= 0; i--) {
+      const match = String(list[i]).match(/[?&](?:term|termFilter|term_in)=(\d{6})\b/i);
+      if (match) return match[1];
+    }
+    return null;
+  }
+
+  /**
+   * Converts a Banner 9 date to Banner 8 text
+   * @param {string} text - "09/03/2024" (MM/DD/YYYY) or "2024-09-03"
+   * @returns {string} Banner 8 date (e.g. "03-SEP-2024"), or '' if missing or unreadable
+   */
+  function convertBanner9Date(text) {
+    const value = String(text || '').trim();
+    const us = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (us) {
+      return formatBannerDate(`${us[3]}${us[1].padStart(2, '0')}${us[2].padStart(2, '0')}`);
+    }
+    const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    return iso ? formatBannerDate(`${iso[1]}${iso[2]}${iso[3]}`) : '';
+  }
+
+  /**
+   * Converts Banner 9 meeting day flags to a Banner 8 day string
+   * @param {Object} meetingTime - Banner 9 meetingTime ({monday: true, ...})
+   * @returns {string} e.g. "-T-R---", or '' when it meets on no day
+   */
+  function convertBanner9Days(meetingTime) {
+    const days = BANNER9_DAYS.map(([flag, letter]) => meetingTime[flag] ? letter : '-').join('');
+    return /[A-Z]/.test(days) ? days : '';
+  }
+
+  /**
+   * Turns Banner 9's "Last, First" display names around
+   * @param {string} name - Instructor display name (e.g. "Lee, Bob")
+   * @returns {string} e.g. "Bob Lee"
+   */
+  function formatInstructorName(name) {
+    const parts = String(name || '').split(',').map(part => part.trim()).filter(Boolean);
+    return parts.length === 2 ? `${parts[1]} ${parts[0]}` : parts.join(' ');
+  }
+
+  /**
+   * Maps one Banner 9 meeting to a session, in parseTableRow's shape
+   * @param {Object} entry - One item of a meetingTimes response: {meetingTime, faculty}
+   * @param {Object} section - The section's registration event (subject, course number, title, ...)
+   * @param {Object} typeAliases - User meeting type aliases, from settings.typeAliases
+   * @returns {Object} Course data object
+   */
+  function parseBanner9Meeting(entry, section, typeAliases = {}) {
+    const meetingTime = entry.meetingTime || {};
+    const faculty = entry.faculty || [];
+    const instructor = faculty.find(person => person.primaryIndicator) || faculty[0] || {};
+
+    // Meeting type descriptions vary ("Class", "Final Exam"), so fall back to the
+    // meeting type and the section's schedule type ("LEC", "LAB")
+    const typeTexts = [meetingTime.meetingTypeDescription, meetingTime.meetingType, meetingTime.meetingScheduleType]
+      .filter(Boolean);
+    const type = typeTexts.map(text => resolveMeetingType(text, typeAliases)).find(Boolean) ||
+      (typeTexts[0] || '').toUpperCase();
+
+    const credits = section.creditHours !== undefined ? section.creditHours
+      : (section.creditHour !== undefined ? section.creditHour : meetingTime.creditHourSession);
+    const time = meetingTime.beginTime && meetingTime.endTime ? `${meetingTime.beginTime}-${meetingTime.endTime}` : '';
+    const room = [meetingTime.building, meetingTime.room].filter(Boolean).join(' ');
+
+    return {
+      crn: String(entry.courseReferenceNumber || meetingTime.courseReferenceNumber || section.crn || ''),
+      subject: section.subject || '',
+      course: section.courseNumber || '',
+      section: section.sequenceNumber || section.section || '',
+      title: section.courseTitle || section.title || '',
+      type,
+      days: convertBanner9Days(meetingTime),
+      time,
+      start: convertBanner9Date(meetingTime.startDate),
+      end: convertBanner9Date(meetingTime.endDate),
+      room: room || 'TBA',
+      status: section.registrationStatusDescription || section.statusDescription || '',
+      credits: credits !== undefined && credits !== null && credits !== '' ? Number(credits).toFixed(2) : '',
+      instructor: formatInstructorName(instructor.displayName),
+      instructorEmail: instructor.emailAddress || ''
+    };
+  }
+
+  /**
+   * Maps recorded or fetched Banner 9 JSON to sessions
+   * @param {Object} data - {registrationEvents, meetingTimes}: the getRegistrationEvents array and one
+   *   getFacultyMeetingTimes response ({fmt: [...]}) per section
+   * @param {Object|null} diagnostics - Optional object that receives {strategy, detail, rows} like parseCourseTable's
+   * @param {Object} typeAliases - User meeting type aliases, from settings.typeAliases
+   * @returns {Array<Object>} Array of parsed course data
+   * @throws {Error} If no meetings were found
+   */
+  function parseBanner9Schedule(data, diagnostics = null, typeAliases = {}) {
+    const events = data.registrationEvents || [];
+    const responses = data.meetingTimes || [];
+
+    // Calendar events repeat per week; the first one describes the section
+    const sections = {};
+    for (const event of events) {
+      const crn = String(event.courseReferenceNumber || event.crn || '');
+      if (crn && !sections[crn]) {
+        sections[crn] = event;
+      }
+    }
+
+    const rows = [];
+    const courses = [];
+    const crnsWithMeetings = new Set();
+    for (const response of responses) {
+      for (const entry of (response && response.fmt) || []) {
+        const crn = String(entry.courseReferenceNumber || (entry.meetingTime || {}).courseReferenceNumber || '');
+        crnsWithMeetings.add(crn);
+        const course = parseBanner9Meeting(entry, sections[crn] || {}, typeAliases);
+        courses.push(course);
+        rows.push({
+          index: rows.length,
+          status: 'parsed',
+          reason: `${buildCourseCode(course)} ${course.type}`,
+          cells: [course.crn, course.subject, course.course, course.section, course.type, course.days, course.time,
+            course.start, course.end, course.room]
+        });
+      }
+    }
+
+    for (const crn of Object.keys(sections).filter(crn => !crnsWithMeetings.has(crn))) {
+      const section = sections[crn];
+      rows.push({
+        index: rows.length,
+        status: 'invalid',
+        reason: 'no meeting times',
+        cells: [crn, section.subject || '', section.courseNumber || '', section.sequenceNumber || section.section || '']
+      });
+    }
+
+    if (diagnostics) {
+      Object.assign(diagnostics, {
+        strategy: 'banner9',
+        detail: `Banner 9 registration data: ${Object.keys(sections).length} registered section(s), ` +
+          `${responses.length} meeting time response(s)`,
+        rows
+      });
+    }
+
+    logDebug(`Parsed ${courses.length} sessions from Banner 9 meeting times`);
+
+    if (courses.length === 0) {
+      throw new Error('No meeting times found in the Banner 9 registration data. ' +
+        'Please ensure you are on the registration page of a term you are registered in.');
+    }
+
+    return courses;
+  }
+
+  /**
+   * Fetches JSON from the registration app, sending the page's own cookies
+   * Always asks the server (no-cache), so a section added or dropped since the page
+   * loaded isn't exported from a stale cached response
+   * @param {string} url - Endpoint address
+   * @returns {Promise<*>} Parsed response
+   * @throws {Error} If the request fails or the reply isn't JSON (e.g. a sign-in page)
+   */
+  async function fetchBanner9JSON(url) {
+    const response = await fetch(url, {
+      credentials: 'same-origin',
+      cache: 'no-cache',
+      headers: { Accept: 'application/json' }
+    });
+    if (!response.ok) {
+      throw new Error(`Banner 9 answered ${response.status} for ${url}`);
+    }
+    try {
+      return await response.json();
+    } catch (error) {
+      throw new Error(`Banner 9 did not send schedule data for ${url}; your session may have expired, so sign in again.`);
+    }
+  }
+
+  /**
+   * Loads the schedule from the registration app's JSON endpoints
+   * Works against Langara's server from the page, or any stand-in serving the same endpoints
+   * @param {Object} options - {baseUrl (from getBanner9BaseUrl), termCode (null for the page's term),
+   *   loadedUrls (requests the page already made, oldest first), fetchJSON, diagnostics, typeAliases}
+   * @returns {Promise<Object>} {courses, termCode} where termCode is null when Banner didn't say
+   */
+  async function loadBanner9Schedule(options) {
+    const { baseUrl, loadedUrls = [], fetchJSON = fetchBanner9JSON, diagnostics = null, typeAliases = {} } = options;
+    let termCode = options.termCode || findBanner9Term(loadedUrls);
+    if (diagnostics) {
+      // Replaced with counts once the data is in; kept when a request fails
+      Object.assign(diagnostics, { strategy: 'banner9', detail: `Banner 9 registration data from ${baseUrl}` });
+    }
+
+    // An empty termFilter asks for the term chosen in the registration session
+    const eventsUrl = `${baseUrl}${BANNER9_ENDPOINTS.registrationEvents}?termFilter=${termCode || ''}`;
+    const registrationEvents = await fetchJSON(eventsUrl);
+    if (!Array.isArray(registrationEvents)) {
+      throw new Error('Banner 9 did not return a list of registered sections.');
+    }
+    termCode = termCode || (registrationEvents.find(event => event.term) || {}).term || null;
+
+    // Only registered sections: the page may also have loaded sections the student just looked at
+    const crns = Array.from(new Set(registrationEvents
+      .map(event => String(event.courseReferenceNumber || event.crn || ''))
+      .filter(Boolean)));
+    if (crns.length > 0 && !termCode) {
+      throw new Error('Could not tell which term this Banner 9 page shows. Choose the term in the toolbar popup.');
+    }
+
+    // One request per section, one at a time to go easy on the server
+    const meetingTimes = [];
+    for (const crn of crns) {
+      meetingTimes.push(await fetchJSON(`${baseUrl}${BANNER9_ENDPOINTS.meetingTimes}?term=${termCode}&courseReferenceNumber=${crn}`));
+    }
+
+    return { courses: parseBanner9Schedule({ registrationEvents, meetingTimes }, diagnostics, typeAliases), termCode };
+  }
+
+  return {
+    BANNER9_APP_PATH,
+    BANNER9_ENDPOINTS,
+    isBanner9Page,
+    getBanner9BaseUrl,
+    findBanner9Term,
+    convertBanner9Date,
+    convertBanner9Days,
+    formatInstructorName,
+    parseBanner9Meeting,
+    parseBanner9Schedule,
+    fetchBanner9JSON,
+    loadBanner9Schedule
+  };
+});
@@ -0,0 +1,36 @@
+// Langara Swing Schedule Exporter
+// Campus directory: buildings that Banner room codes refer to
+//
+// Banner rooms look like "A212", "T 110" or "L-0101": a building code followed
+// by a room number. Each building has a full name and the {lat, lon} of its
+// main entrance; events in rooms whose building isn't listed get no map
+// coordinates. Update this table when buildings open, move or are renamed.
+//
+// Coordinates are estimates read off a street map (to about 20 m), which is
+// enough for a map pin and travel time but not for finding a door.
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LangaraCampusDirectory = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  const CAMPUS = {
+    name: 'Langara College',
+    address: '100 West 49th Avenue, Vancouver, BC V5Y 2Z6, Canada'
+  };
+
+  // Keyed by the building code used in Banner room strings
+  const BUILDINGS = {
+    'A': { name: 'A Building', geo: { lat: 49.2247, lon: -123.1083 } },
+    'B': { name: 'B Building', geo: { lat: 49.2243, lon: -123.1071 } },
+    'C': { name: 'C Building', geo: { lat: 49.2238, lon: -123.1080 } },
+    'L': { name: 'L Building (Library, Classroom and Office Building)', geo: { lat: 49.2253, lon: -123.1069 } },
+    'T': { name: 'T Building (Science and Technology Building)', geo: { lat: 49.2239, lon: -123.1094 } }
+  };
+
+  return { CAMPUS, BUILDINGS };
+});
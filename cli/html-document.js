@@ -0,0 +1,353 @@
+// Langara Swing Schedule Exporter
+// Minimal HTML parser for the command line tool. Builds just enough of a DOM
+// (elements, text, querySelector/querySelectorAll, sibling/parent links) for
+// core.js to read a saved Swing page (course or week view), without any npm
+// dependencies.
+
+'use strict';
+
+// Elements that never have children or an end tag
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// Elements whose content is text up to the matching end tag
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+// Open elements implicitly closed when one of these tags starts (Banner's
+// generated HTML often leaves out </td>, </tr> and </p>)
+const IMPLIED_END = {
+  td: ['td', 'th'],
+  th: ['td', 'th'],
+  tr: ['tr', 'td', 'th'],
+  thead: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'],
+  tbody: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'],
+  tfoot: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'],
+  li: ['li'],
+  option: ['option'],
+  p: ['p']
+};
+
+// Elements an implied end tag never looks past
+const SCOPE_ELEMENTS = new Set(['table', 'ul', 'ol', 'select', 'body', 'html']);
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0'
+};
+
+/**
+ * Decodes character references (&amp;, &#160;, &#xA0;)
+ * @param {string} text - Raw HTML text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.substring(2), 16) : parseInt(ref.substring(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    const named = NAMED_ENTITIES[ref.toLowerCase()];
+    return named === undefined ? match : named;
+  });
+}
+
+class TextNode {
+  constructor(text) {
+    this.nodeType = 3;
+    this.textContent = text;
+    this.parentElement = null;
+  }
+}
+
+class Element {
+  constructor(tagName, attributes = {}) {
+    this.nodeType = 1;
+    this.tagName = tagName.toUpperCase();
+    this.attributes = attributes;
+    this.childNodes = [];
+    this.parentElement = null;
+  }
+
+  get children() {
+    return this.childNodes.filter(node => node.nodeType === 1);
+  }
+
+  get nextElementSibling() {
+    if (!this.parentElement) return null;
+    const siblings = this.parentElement.children;
+    return siblings[siblings.indexOf(this) + 1] || null;
+  }
+
+  get parentNode() {
+    return this.parentElement;
+  }
+
+  get ownerDocument() {
+    let root = this;
+    while (root.parentElement) {
+      root = root.parentElement;
+    }
+    return root.nodeType === 9 ? root : null;
+  }
+
+  get textContent() {
+    return this.childNodes.map(node => node.textContent).join('');
+  }
+
+  get innerText() {
+    return this.textContent;
+  }
+
+  get id() {
+    return this.getAttribute('id') || '';
+  }
+
+  get className() {
+    return this.getAttribute('class') || '';
+  }
+
+  // A saved page's form fields hold the value they were saved with
+  get value() {
+    return this.getAttribute('value') || '';
+  }
+
+  getAttribute(name) {
+    const value = this.attributes[name.toLowerCase()];
+    return value === undefined ? null : value;
+  }
+
+  hasAttribute(name) {
+    return this.attributes[name.toLowerCase()] !== undefined;
+  }
+
+  appendChild(node) {
+    node.parentElement = this;
+    this.childNodes.push(node);
+    return node;
+  }
+
+  querySelectorAll(selector) {
+    const selectors = parseSelectorList(selector);
+    const matches = [];
+    const visit = (element) => {
+      for (const child of element.children) {
+        if (selectors.some(compound => matchesSelector(child, compound))) {
+          matches.push(child);
+        }
+        visit(child);
+      }
+    };
+    visit(this);
+    return matches;
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+
+  matches(selector) {
+    return parseSelectorList(selector).some(compound => matchesSelector(this, compound));
+  }
+
+  closest(selector) {
+    for (let element = this; element; element = element.parentElement) {
+      if (element.matches(selector)) return element;
+    }
+    return null;
+  }
+}
+
+class HTMLDocument extends Element {
+  constructor() {
+    super('#document');
+    this.nodeType = 9;
+  }
+
+  get ownerDocument() {
+    return null;
+  }
+
+  get documentElement() {
+    return this.children.find(child => child.tagName === 'HTML') || null;
+  }
+
+  get body() {
+    return this.querySelector('body') || this.documentElement;
+  }
+}
+
+/**
+ * Parses a selector list such as "h2, table.datadisplaytable, a[href^='mailto:']"
+ * Supports type, class, id and attribute selectors joined by descendant
+ * combinators; anything else throws so unsupported selectors are noticed.
+ * @param {string} selector - CSS selector list
+ * @returns {Array<Array<Object>>} Each selector as a list of compound parts, outermost first
+ */
+function parseSelectorList(selector) {
+  // Whitespace inside [attribute="values"] belongs to the value, not a combinator
+  return selector.split(',').map(part => part.trim().match(/(?:\[[^\]]*\]|[^\s\[])+/g).map(compound => {
+    const parsed = { tag: null, ids: [], classes: [], attributes: [] };
+    const pattern = /^([a-z][a-z0-9]*|\*)|#([\w-]+)|\.([\w-]+)|\[\s*([\w-]+)\s*(?:([\^$*~]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]+))\s*(i)?\s*)?\]/gi;
+    let consumed = 0;
+    let match;
+    while ((match = pattern.exec(compound)) && match.index === consumed && match[0]) {
+      consumed += match[0].length;
+      if (match[1]) {
+        parsed.tag = match[1] === '*' ? null : match[1].toUpperCase();
+      } else if (match[2]) {
+        parsed.ids.push(match[2]);
+      } else if (match[3]) {
+        parsed.classes.push(match[3]);
+      } else {
+        const value = match[6] !== undefined ? match[6] : (match[7] !== undefined ? match[7] : match[8]);
+        parsed.attributes.push({ name: match[4].toLowerCase(), operator: match[5] || null, value, ignoreCase: Boolean(match[9]) });
+      }
+    }
+    if (consumed !== compound.length) {
+      throw new Error(`Unsupported selector: ${selector}`);
+    }
+    return parsed;
+  }));
+}
+
+/**
+ * Checks one compound selector against an element
+ * @param {Element} element - Element to test
+ * @param {Object} compound - Part from parseSelectorList
+ * @returns {boolean} True if the element matches
+ */
+function matchesCompound(element, compound) {
+  if (compound.tag && element.tagName !== compound.tag) return false;
+  if (compound.ids.some(id => element.id !== id)) return false;
+
+  const classes = element.className.split(/\s+/);
+  if (compound.classes.some(name => !classes.includes(name))) return false;
+
+  return compound.attributes.every(({ name, operator, value, ignoreCase }) => {
+    let actual = element.getAttribute(name);
+    if (actual === null) return false;
+    if (!operator) return true;
+    let expected = value;
+    if (ignoreCase) {
+      actual = actual.toLowerCase();
+      expected = expected.toLowerCase();
+    }
+    switch (operator) {
+      case '=': return actual === expected;
+      case '^=': return expected !== '' && actual.startsWith(expected);
+      case '$=': return expected !== '' && actual.endsWith(expected);
+      case '*=': return expected !== '' && actual.includes(expected);
+      case '~=': return actual.split(/\s+/).includes(expected);
+      default: return false;
+    }
+  });
+}
+
+/**
+ * Checks a selector (compound parts joined by descendant combinators) against an element
+ * @param {Element} element - Element to test
+ * @param {Array<Object>} compounds - Selector from parseSelectorList
+ * @returns {boolean} True if the element matches
+ */
+function matchesSelector(element, compounds) {
+  if (!matchesCompound(element, compounds[compounds.length - 1])) return false;
+
+  let ancestor = element.parentElement;
+  for (let i = compounds.length - 2; i >= 0; i--) {
+    while (ancestor && !matchesCompound(ancestor, compounds[i])) {
+      ancestor = ancestor.parentElement;
+    }
+    if (!ancestor) return false;
+    ancestor = ancestor.parentElement;
+  }
+  return true;
+}
+
+/**
+ * Parses a start tag's attributes
+ * @param {string} text - Attribute text from inside the tag
+ * @returns {Object} Lower-case attribute name to decoded value
+ */
+function parseAttributes(text) {
+  const attributes = {};
+  const pattern = /([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  let match;
+  while ((match = pattern.exec(text))) {
+    const value = match[2] !== undefined ? match[2] : (match[3] !== undefined ? match[3] : (match[4] || ''));
+    const name = match[1].toLowerCase();
+    if (attributes[name] === undefined) {
+      attributes[name] = decodeEntities(value);
+    }
+  }
+  return attributes;
+}
+
+/**
+ * Parses an HTML document
+ * @param {string} html - HTML source
+ * @returns {HTMLDocument} Parsed document
+ */
+function parseHTML(html) {
+  const document = new HTMLDocument();
+  const stack = [document];
+  const current = () => stack[stack.length - 1];
+
+  // Pops open elements named in `tags`, stopping at scope boundaries
+  const closeImplied = (tags) => {
+    for (let i = stack.length - 1; i > 0; i--) {
+      const tag = stack[i].tagName.toLowerCase();
+      if (tags.includes(tag)) {
+        stack.length = i;
+        return;
+      }
+      if (SCOPE_ELEMENTS.has(tag)) return;
+    }
+  };
+
+  const tagPattern = /<!--[\s\S]*?(?:-->|$)|<![^>]*>|<\?[^>]*>|<\/([a-zA-Z][\w:-]*)[^>]*>|<([a-zA-Z][\w:-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>/g;
+  let position = 0;
+  let match;
+  while ((match = tagPattern.exec(html))) {
+    if (match.index > position) {
+      current().appendChild(new TextNode(decodeEntities(html.substring(position, match.index))));
+    }
+    position = tagPattern.lastIndex;
+
+    if (match[1]) {
+      // End tag: close the nearest open element with that name, if any
+      const tag = match[1].toLowerCase();
+      for (let i = stack.length - 1; i > 0; i--) {
+        if (stack[i].tagName.toLowerCase() === tag) {
+          stack.length = i;
+          break;
+        }
+      }
+    } else if (match[2]) {
+      const tag = match[2].toLowerCase();
+      if (IMPLIED_END[tag]) {
+        closeImplied(IMPLIED_END[tag]);
+      }
+
+      const element = current().appendChild(new Element(tag, parseAttributes(match[3])));
+      if (RAW_TEXT_ELEMENTS.has(tag)) {
+        const end = html.toLowerCase().indexOf(`</${tag}`, position);
+        const stop = end === -1 ? html.length : end;
+        const text = html.substring(position, stop);
+        element.appendChild(new TextNode(tag === 'textarea' || tag === 'title' ? decodeEntities(text) : text));
+        position = stop;
+        tagPattern.lastIndex = stop;
+      } else if (!VOID_ELEMENTS.has(tag) && !/\/\s*$/.test(match[3])) {
+        stack.push(element);
+      }
+    }
+    // Comments, doctypes and processing instructions are dropped
+  }
+  if (position < html.length) {
+    current().appendChild(new TextNode(decodeEntities(html.substring(position))));
+  }
+
+  return document;
+}
+
+module.exports = { parseHTML };
@@ -0,0 +1,325 @@
+#!/usr/bin/env node
+// Langara Swing Schedule Exporter
+// Command line tool: converts saved "By Course View" or "By Week View" pages, recorded Banner 9
+// registration JSON or a Banner 9 server into calendar files using the same core
+// as the extension.
+//
+//   node cli/swing-export.js [options] <page.html | data.json | url>...
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const { parseHTML } = require('./html-document.js');
+const {
+  setDebugLogger,
+  findDataTable,
+  parseCourseTable,
+  findWeekGrids,
+  parseWeekView,
+  detectTerm,
+  describeTerm,
+  getTermClosures,
+  getExamPeriod,
+  getSessionSchedule,
+  buildSummary,
+  isDroppedStatus,
+  validateICS,
+  generateCourseCalendars,
+  createZip,
+  EXPORTERS
+} = require('../core.js');
+const { mergeSettings } = require('../settings.js');
+const { getBanner9BaseUrl, parseBanner9Schedule, loadBanner9Schedule } = require('../banner9.js');
+
+const USAGE = `Usage: node cli/swing-export.js [options] <page.html | data.json | url>...
+
+Converts saved Swing "By Course View" pages into calendar files. Saved "By Week View"
+pages work too, but each session only spans the week that was saved. Banner 9 schedules
+are read from recorded JSON ({"registrationEvents": [...], "meetingTimes": [...]})
+or fetched from a server's .../StudentRegistrationSsb/ssb/ address.
+
+Options:
+  -f, --format <name>    ${Object.keys(EXPORTERS).join(', ')} (default: ics)
+  -o, --output <path>    Output file, directory (for several pages), or - for stdout
+                         (default: next to each page, with the format's extension)
+  -t, --term <code>      Banner term code, e.g. 202430 (default: detected from the page)
+  -s, --settings <file>  JSON settings (templates, reminders, flagConflicts, expandRecurrences,
+                         typeAliases, separateExamCalendar), as on the options page
+      --include-dropped  Also export dropped/withdrawn sections
+  -v, --verbose          Log parsing details to stderr
+  -h, --help             Show this help`;
+
+/**
+ * Parses command line arguments
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Object} {inputs, format, output, term, settings, includeDropped, verbose, help}
+ */
+function parseArgs(args) {
+  const options = { inputs: [], format: 'ics', output: null, term: null, settings: null, includeDropped: false, verbose: false, help: false };
+  const valueOptions = {
+    '-f': 'format', '--format': 'format',
+    '-o': 'output', '--output': 'output',
+    '-t': 'term', '--term': 'term',
+    '-s': 'settings', '--settings': 'settings'
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (valueOptions[arg]) {
+      if (i + 1 >= args.length) {
+        throw new Error(`${arg} needs a value`);
+      }
+      options[valueOptions[arg]] = args[++i];
+    } else if (arg === '--include-dropped') {
+      options.includeDropped = true;
+    } else if (arg === '-v' || arg === '--verbose') {
+      options.verbose = true;
+    } else if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (arg.startsWith('-') && arg !== '-') {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      options.inputs.push(arg);
+    }
+  }
+
+  if (!EXPORTERS[options.format]) {
+    throw new Error(`Unknown format "${options.format}". Use one of: ${Object.keys(EXPORTERS).join(', ')}`);
+  }
+  if (options.term && !/^\d{6}$/.test(options.term)) {
+    throw new Error(`Term code should look like 202430, not "${options.term}"`);
+  }
+
+  return options;
+}
+
+/**
+ * Reads the sessions from a saved page
+ * @param {string} html - Saved page HTML
+ * @param {Object} options - Parsed command line options
+ * @param {Object} settings - Complete settings object
+ * @returns {Object} {courses, term}
+ */
+function readPage(html, options, settings) {
+  const document = parseHTML(html);
+  const table = findDataTable(document);
+  let courses;
+  if (table) {
+    courses = parseCourseTable(table, null, settings.typeAliases);
+  } else if (findWeekGrids(document).length > 0) {
+    courses = parseWeekView(document, settings.typeAliases).courses;
+  } else {
+    throw new Error('Could not find course schedule table on this page. Save the "By Course View" tab.');
+  }
+
+  // Browsers record the original address in a comment when saving a page
+  const savedFrom = html.match(/<!--\s*saved from url=\(\d+\)(\S+?)\s*-->/i);
+  const term = options.term
+    ? detectTerm(courses, { url: `term_in=${options.term}` })
+    : detectTerm(courses, { url: savedFrom ? savedFrom[1] : '', text: document.body.textContent });
+  return { courses, term };
+}
+
+/**
+ * Reads the sessions from recorded Banner 9 JSON
+ * @param {Object} data - {registrationEvents, meetingTimes}, as for parseBanner9Schedule
+ * @param {Object} options - Parsed command line options
+ * @param {Object} settings - Complete settings object
+ * @returns {Object} {courses, term}
+ */
+function readBanner9Data(data, options, settings) {
+  const courses = parseBanner9Schedule(data, null, settings.typeAliases);
+  const termCode = options.term || ((data.registrationEvents || []).find(event => event.term) || {}).term;
+  return { courses, term: termCode ? describeTerm(String(termCode)) : detectTerm(courses) };
+}
+
+/**
+ * Reads the sessions from one input: a saved page, recorded Banner 9 JSON, or a Banner 9 server
+ * @param {string} input - File path, '-' for stdin, or an http(s) address
+ * @param {Object} options - Parsed command line options
+ * @param {Object} settings - Complete settings object
+ * @returns {Promise<Object>} {courses, term}
+ */
+async function readInput(input, options, settings) {
+  if (/^https?:\/\//i.test(input)) {
+    const baseUrl = getBanner9BaseUrl(input);
+    if (!baseUrl) {
+      throw new Error('Only Banner 9 addresses (.../StudentRegistrationSsb/ssb/) can be fetched; save other pages first.');
+    }
+    const { courses, termCode } = await loadBanner9Schedule({
+      baseUrl,
+      termCode: options.term,
+      loadedUrls: [input],
+      typeAliases: settings.typeAliases
+    });
+    return { courses, term: termCode ? describeTerm(termCode) : detectTerm(courses) };
+  }
+
+  const text = fs.readFileSync(input === '-' ? 0 : input, 'utf8');
+  if (/^\s*[{[]/.test(text)) {
+    return readBanner9Data(JSON.parse(text), options, settings);
+  }
+  return readPage(text, options, settings);
+}
+
+/**
+ * Converts sessions into the chosen export format
+ * @param {Array<Object>} schedule - All sessions read from the input
+ * @param {Object} term - Term from detectTerm
+ * @param {Object} options - Parsed command line options
+ * @param {Object} settings - Complete settings object
+ * @returns {Object} {content, courses, term, notExported} where notExported lists
+ *   sessions that could not become events, with the reason
+ */
+function convertSchedule(schedule, term, options, settings) {
+  const courses = schedule.filter(course => options.includeDropped || !isDroppedStatus(course.status));
+
+  const closures = getTermClosures(term.code);
+  const examPeriod = getExamPeriod(courses);
+  const notExported = courses
+    .map(course => ({ course, schedule: getSessionSchedule(course, examPeriod, settings.meetingTypes) }))
+    .filter(({ schedule }) => schedule.kind === 'none')
+    .map(({ course, schedule }) => `${buildSummary(course, settings)} (${schedule.reason})`);
+  const context = { term, closures, settings, examPeriod };
+
+  // Refuse to write a calendar that clients would reject, as the extension does
+  const checkCalendar = (ics, name) => {
+    const problems = validateICS(ics);
+    if (problems.length > 0) {
+      throw new Error(`Generated calendar${name ? ` (${name})` : ''} has problems:\n  ${problems.join('\n  ')}`);
+    }
+  };
+
+  let content;
+  if (options.format === 'zip') {
+    const calendars = generateCourseCalendars(courses, context);
+    calendars.forEach(calendar => checkCalendar(calendar.content, calendar.name));
+    content = createZip(calendars.map(calendar => ({ name: calendar.filename, content: calendar.content })));
+  } else {
+    content = EXPORTERS[options.format].generate(courses, context);
+    if (options.format === 'ics') {
+      checkCalendar(content);
+    }
+  }
+
+  return { content, courses, term, notExported };
+}
+
+/**
+ * Converts one saved page into the chosen export format
+ * @param {string} html - Saved page HTML
+ * @param {Object} options - Parsed command line options
+ * @param {Object} settings - Complete settings object
+ * @returns {Object} {content, courses, term, notExported}, as from convertSchedule
+ */
+function convertPage(html, options, settings) {
+  const { courses, term } = readPage(html, options, settings);
+  return convertSchedule(courses, term, options, settings);
+}
+
+/**
+ * Works out where to write the output for an input page
+ * @param {string} input - Input file path ('-' for stdin, or an address)
+ * @param {Object} options - Parsed command line options
+ * @returns {string} Output path, or '-' for stdout
+ */
+function getOutputPath(input, options) {
+  const extension = EXPORTERS[options.format].extension;
+  const streamed = input === '-' || /^https?:\/\//i.test(input);
+  const baseName = streamed ? 'schedule' : path.basename(input, path.extname(input));
+  const defaultName = `${baseName}.${extension}`;
+
+  if (!options.output) {
+    // A page read from stdin or a server goes out on stdout
+    return streamed ? '-' : path.join(path.dirname(input), defaultName);
+  }
+  if (options.output === '-' || (options.inputs.length === 1 && !isDirectory(options.output))) {
+    return options.output;
+  }
+  return path.join(options.output, defaultName);
+}
+
+/**
+ * Checks whether a path is an existing directory
+ * @param {string} target - Path to check
+ * @returns {boolean} True if it is a directory
+ */
+function isDirectory(target) {
+  try {
+    return fs.statSync(target).isDirectory();
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Runs the command line tool
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+async function main(args) {
+  let options;
+  try {
+    options = parseArgs(args);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (options.help || options.inputs.length === 0) {
+    console.log(USAGE);
+    return options.help ? 0 : 2;
+  }
+  if (options.output === '-' && options.inputs.length > 1) {
+    console.error('Only one page can be written to stdout.');
+    return 2;
+  }
+  if (options.output && options.output !== '-' && options.inputs.length > 1 && !isDirectory(options.output)) {
+    console.error(`--output must be an existing directory when converting several pages: ${options.output}`);
+    return 2;
+  }
+
+  // Parsing details go to stderr, keeping stdout for the output file
+  setDebugLogger(options.verbose ? (...args) => console.error(...args) : null);
+
+  let settings = mergeSettings();
+  if (options.settings) {
+    try {
+      settings = mergeSettings(JSON.parse(fs.readFileSync(options.settings, 'utf8')));
+    } catch (error) {
+      console.error(`Could not read settings from ${options.settings}: ${error.message}`);
+      return 2;
+    }
+  }
+
+  let failures = 0;
+  for (const input of options.inputs) {
+    try {
+      const schedule = await readInput(input, options, settings);
+      const { content, courses, term, notExported } = convertSchedule(schedule.courses, schedule.term, options, settings);
+      const outputPath = getOutputPath(input, options);
+
+      if (outputPath === '-') {
+        process.stdout.write(content);
+      } else {
+        fs.writeFileSync(outputPath, content);
+      }
+      console.error(`${input}: ${courses.length - notExported.length} session(s), ${term.name} -> ${outputPath === '-' ? 'stdout' : outputPath}`);
+      notExported.forEach(session => console.error(`${input}: not exported: ${session}`));
+    } catch (error) {
+      failures++;
+      console.error(`${input}: ${error.message}`);
+    }
+  }
+
+  return failures > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { parseArgs, readPage, readBanner9Data, readInput, convertSchedule, convertPage, main };
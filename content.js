@@ -1,34 +1,105 @@
 // Langara Swing Schedule Exporter
-// Content script for scraping course data and generating ICS files
+// Content script: adds the export button and preview panel to Swing pages.
+// Parsing and file generation live in core.js.
 
 (function() {
   'use strict';
 
-  // Month abbreviation to number mapping
-  const MONTH_MAP = {
-    'JAN': '01', 'FEB': '02', 'MAR': '03', 'APR': '04',
-    'MAY': '05', 'JUN': '06', 'JUL': '07', 'AUG': '08',
-    'SEP': '09', 'OCT': '10', 'NOV': '11', 'DEC': '12'
-  };
+  const {
+    EXTENSION_UI_SELECTOR,
+    setDebugLogger,
+    findDataTable,
+    detectTerm,
+    parseCourseTable,
+    findWeekGrids,
+    parseWeekView,
+    resolveMeetingType,
+    getMeetingType,
+    getTermClosures,
+    getExcludedDates,
+    formatClosureDate,
+    assignEventUIDs,
+    getMeetingFingerprint,
+    buildCourseCode,
+    getCourseColor,
+    buildSummary,
+    isDroppedStatus,
+    getReminders,
+    findConflicts,
+    describeConflict,
+    validateICS,
+    describeTerm,
+    MESSAGE_TYPES,
+    buildDiagnosticBundle,
+    getExamPeriod,
+    getSessionSchedule,
+    generateCourseCalendars,
+    createZip,
+    EXPORTERS
+  } = self.LangaraCore;
+  const { isBanner9Page, getBanner9BaseUrl, loadBanner9Schedule } = self.LangaraBanner9;
 
-  // Banner day character to ICS BYDAY mapping
-  const DAY_MAP = {
-    'M': 'MO',  // Monday
-    'T': 'TU',  // Tuesday
-    'W': 'WE',  // Wednesday
-    'R': 'TH',  // Thursday
-    'F': 'FR',  // Friday
-    'S': 'SA',  // Saturday
-    'U': 'SU'   // Sunday
-  };
+  // chrome.storage.local key holding the schedule saved at the last export, per term
+  const HISTORY_STORAGE_KEY = 'scheduleHistory';
+
+  // Session fields compared between exports, with the names shown to the user
+  const DIFF_FIELDS = [
+    { key: 'room', label: 'room' },
+    { key: 'time', label: 'time' },
+    { key: 'days', label: 'days' },
+    { key: 'start', label: 'start date' },
+    { key: 'end', label: 'end date' },
+    { key: 'instructor', label: 'instructor' }
+  ];
+
+  // chrome.storage.local key holding the last exported state of every event UID
+  const SEQUENCE_STORAGE_KEY = 'eventSequences';
+
+  // sessionStorage key accumulating the meetings seen on week view pages, per term code
+  const WEEK_VIEW_STORAGE_KEY = 'langara-ics-week-meetings';
+
+  // Results of an export run, cleared when a new run starts or the table changes
+  const RESULT_SELECTOR = '.langara-ics-error-message, .langara-ics-success-message, .langara-ics-warning-message, .langara-ics-diagnostics';
+
+  // How long to wait after the page changes before re-checking for the schedule table
+  const SYNC_DELAY_MS = 250;
+
+  // The table the download button was last placed for (null when placed at the top of the page)
+  let controlsTarget = null;
+
+  /**
+   * Gets the page's text without the extension's own elements (whose wording,
+   * e.g. the week view banner, would otherwise skew page detection)
+   * Uses text nodes rather than innerText: this runs on every page change and
+   * shouldn't force a layout
+   * @returns {string} Page text
+   */
+  function getPageText() {
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+      acceptNode: node => node.nodeType === Node.ELEMENT_NODE && node.matches(EXTENSION_UI_SELECTOR)
+        ? NodeFilter.FILTER_REJECT
+        : NodeFilter.FILTER_ACCEPT
+    });
+    const parts = [];
+    while (walker.nextNode()) {
+      if (walker.currentNode.nodeType === Node.TEXT_NODE) {
+        parts.push(walker.currentNode.nodeValue);
+      }
+    }
+    return parts.join('');
+  }
 
   /**
-   * Detects if user is on "By Course View" or "By Week View"
-   * @returns {string} 'course' | 'week' | 'unknown'
+   * Detects if user is on "By Course View", "By Week View" or a Banner 9 registration page
+   * @returns {string} 'course' | 'week' | 'banner9' | 'unknown'
    */
   function detectPageType() {
     const url = window.location.href;
-    const pageText = document.body.innerText || '';
+    if (isBanner9Page(url)) {
+      return 'banner9';
+    }
+    
+    const pageText = getPageText();
     
     // Check for "By Course View" indicators
     if (url.includes('course') || pageText.includes('By Course View') || 
@@ -42,7 +113,7 @@
     }
     
     // Try to find the data table - if it has Start/End columns, it's course view
-    const table = findDataTable();
+    const table = findDataTable(document);
     if (table) {
       const headers = Array.from(table.querySelectorAll('th')).map(th => th.textContent.trim());
       if (headers.includes('Start') && headers.includes('End')) {
@@ -50,736 +121,970 @@
       }
     }
     
+    // A grid with weekday column headers is the week view
+    if (findWeekGrids(document).length > 0) {
+      return 'week';
+    }
+    
     return 'unknown';
   }
 
   /**
-   * Finds the main data table containing course information
-   * @returns {HTMLElement|null}
+   * Loads the closure dates for a term from the bundled table plus the overrides
+   * set on the options page
+   * @param {Object} term - Term from detectTerm
+   * @returns {Promise<Object>} Map of YYYYMMDD date to closure name
    */
-  function findDataTable() {
-    // First, try to find table specifically associated with "Registered Courses"
-    // Look for headings or text that says "Registered Courses" and find nearby table
-    const registeredCoursesHeaders = Array.from(document.querySelectorAll('h2, h3, h4, .pageheader, .header, th, td'))
-      .filter(el => {
-        const text = el.textContent.toUpperCase();
-        return text.includes('REGISTERED') && text.includes('COURSE');
-      });
+  async function loadTermClosures(term) {
+    const overrides = await self.LangaraSettings.loadClosureOverrides();
+    return getTermClosures(term.code, overrides[term.code] || {});
+  }
+
+  /**
+   * Looks up each session's SEQUENCE number, incrementing it when a previously
+   * exported meeting has changed
+   * Nothing is saved here: pass the returned state to saveEventSequences once the
+   * file has been downloaded, so a cancelled download doesn't use up a SEQUENCE
+   * @param {Array<Object>} courses - Array of parsed course data
+   * @param {Object} term - Term from detectTerm
+   * @returns {Promise<Object>} {sequences, state}: map of UID to SEQUENCE number, and the export state to save
+   */
+  async function getEventSequences(courses, term) {
+    const sequences = {};
+    const uids = assignEventUIDs(courses, term);
     
-    for (const header of registeredCoursesHeaders) {
-      // Find the next table after this header
-      let element = header.nextElementSibling;
-      let depth = 0;
-      while (element && depth < 10) { // Limit search depth
-        if (element.tagName === 'TABLE') {
-          const headers = Array.from(element.querySelectorAll('th')).map(th => th.textContent.trim());
-          if (headers.length > 0 && headers.some(h => h.toUpperCase().includes('TYPE'))) {
-            console.log('Found "Registered Courses" table via header search. Headers:', headers);
-            return element;
-          }
-        }
-        element = element.nextElementSibling;
-        depth++;
-      }
-      
-      // Also check parent container for tables
-      let parent = header.parentElement;
-      depth = 0;
-      while (parent && depth < 5) {
-        const table = parent.querySelector('table');
-        if (table) {
-          const headers = Array.from(table.querySelectorAll('th')).map(th => th.textContent.trim());
-          if (headers.length > 0 && headers.some(h => h.toUpperCase().includes('TYPE'))) {
-            console.log('Found "Registered Courses" table in parent container. Headers:', headers);
-            return table;
-          }
-        }
-        parent = parent.parentElement;
-        depth++;
-      }
+    let stored = {};
+    try {
+      const result = await chrome.storage.local.get(SEQUENCE_STORAGE_KEY);
+      stored = result[SEQUENCE_STORAGE_KEY] || {};
+    } catch (error) {
+      // Storage unavailable: every event starts at SEQUENCE 0
+      console.warn('Could not load previous export state:', error);
     }
     
-    // Try multiple selectors to find the table
-    const selectors = [
-      '.datadisplaytable',
-      'table.datadisplaytable',
-      'table[summary*="course"]',
-      'table[summary*="schedule"]',
-      'table[summary*="Registered"]'
-    ];
-
-    for (const selector of selectors) {
-      const tables = document.querySelectorAll(selector);
-      for (const table of tables) {
-        // Verify it has the expected structure (headers with Start/End or Type)
-        const headers = Array.from(table.querySelectorAll('th')).map(th => th.textContent.trim());
-        if (headers.length > 0) {
-          // Check for key columns that indicate this is the course schedule table
-          const hasKeyColumns = headers.some(h => 
-            h.toUpperCase().includes('TYPE') || 
-            h.toUpperCase().includes('START') || 
-            h.toUpperCase().includes('DAYS') ||
-            (h.toUpperCase().includes('SUBJ') && h.toUpperCase().includes('CRSE'))
-          );
-          if (hasKeyColumns) {
-            console.log('Found table with selector:', selector, 'Headers:', headers);
-            return table;
-          }
-        }
+    courses.forEach((course, i) => {
+      const uid = uids[i];
+      const fingerprint = getMeetingFingerprint(course);
+      const previous = stored[uid];
+      let sequence = 0;
+      if (previous) {
+        sequence = previous.fingerprint === fingerprint ? previous.sequence : previous.sequence + 1;
       }
-    }
+      stored[uid] = { fingerprint, sequence };
+      sequences[uid] = sequence;
+    });
+    
+    return { sequences, state: stored };
+  }
 
-    // Fallback: find any table with expected headers
-    const allTables = document.querySelectorAll('table');
-    for (const table of allTables) {
-      const rows = table.querySelectorAll('tr');
-      if (rows.length > 3) { // Likely a data table
-        const headers = Array.from(table.querySelectorAll('th')).map(th => th.textContent.trim());
-        // Check if this table has the expected course schedule columns
-        const headerText = headers.join(' ').toUpperCase();
-        if (headerText.includes('TYPE') && (headerText.includes('START') || headerText.includes('DAYS'))) {
-          console.log('Found table via fallback method. Headers:', headers);
-          return table;
-        }
-      }
+  /**
+   * Saves the export state from getEventSequences to chrome.storage
+   * @param {Object} state - Map of UID to {fingerprint, sequence}
+   */
+  async function saveEventSequences(state) {
+    try {
+      await chrome.storage.local.set({ [SEQUENCE_STORAGE_KEY]: state });
+    } catch (error) {
+      console.warn('Could not save export state:', error);
     }
-
-    console.warn('Could not find course schedule table');
-    return null;
   }
 
   /**
-   * Parses a Banner date string (e.g., "06-MAY-2024") to ISO format
-   * @param {string} dateStr - Banner date string
-   * @returns {string|null} ISO date string (YYYYMMDD) or null if invalid
+   * Shows the list of schedule conflicts in the page
+   * @param {Array<Object>} conflicts - Entries from findConflicts
+   * @param {Array<Object>} courses - The array findConflicts was run on
+   * @param {Object} settings - Settings from LangaraSettings.loadSettings
    */
-  function parseBannerDate(dateStr) {
-    if (!dateStr || typeof dateStr !== 'string') return null;
-    
-    const trimmed = dateStr.trim();
-    const parts = trimmed.split('-');
-    
-    if (parts.length !== 3) return null;
-    
-    const day = parts[0].padStart(2, '0');
-    const monthAbbr = parts[1].toUpperCase();
-    const year = parts[2];
-    
-    if (!MONTH_MAP[monthAbbr]) return null;
-    
-    const month = MONTH_MAP[monthAbbr];
+  function showConflictWarnings(conflicts, courses, settings) {
+    const existing = document.getElementById('langara-ics-conflict-warnings');
+    if (existing) {
+      existing.remove();
+    }
+    if (conflicts.length === 0) return;
     
-    // Validate date
-    const date = new Date(`${year}-${month}-${day}`);
-    if (isNaN(date.getTime())) return null;
+    const msgDiv = document.createElement('div');
+    msgDiv.id = 'langara-ics-conflict-warnings';
+    msgDiv.className = 'langara-ics-warning-message';
+    
+    const examClashes = conflicts.filter(conflict => conflict.isExamClash).length;
+    msgDiv.textContent = `Found ${conflicts.length} schedule conflict(s)` +
+      (examClashes > 0 ? `, including ${examClashes} exam clash(es)` : '') + ':';
+    
+    const list = document.createElement('ul');
+    for (const conflict of conflicts) {
+      const item = document.createElement('li');
+      item.textContent = describeConflict(conflict, courses, settings);
+      list.appendChild(item);
+    }
+    msgDiv.appendChild(list);
     
-    return `${year}${month}${day}`;
+    const button = document.getElementById('langara-ics-download-btn');
+    if (button && button.parentNode) {
+      button.parentNode.insertBefore(msgDiv, button.nextSibling);
+    } else {
+      const pageBody = document.querySelector('.pagebodydiv') || document.body;
+      pageBody.insertBefore(msgDiv, pageBody.firstChild);
+    }
   }
 
   /**
-   * Parses Banner time string (e.g., "1230-1420") to time components
-   * @param {string} timeStr - Banner time string
-   * @returns {Object|null} {start: "HH:MM", end: "HH:MM"} or null if invalid
+   * Encodes bytes as base64, since runtime messages can only carry text
+   * @param {Uint8Array} bytes - Binary file content
+   * @returns {string} Base64 text
    */
-  function parseBannerTime(timeStr) {
-    if (!timeStr || typeof timeStr !== 'string') return null;
-    
-    const trimmed = timeStr.trim();
-    const parts = trimmed.split('-');
-    
-    if (parts.length !== 2) return null;
-    
-    const startRaw = parts[0].trim();
-    const endRaw = parts[1].trim();
-    
-    // Format: 4 digits (HHMM) or 3 digits (HMM) - handle both
-    const formatTime = (time) => {
-      const padded = time.padStart(4, '0');
-      const hours = padded.substring(0, padded.length - 2);
-      const minutes = padded.substring(padded.length - 2);
-      return `${hours.padStart(2, '0')}:${minutes}`;
-    };
-    
-    return {
-      start: formatTime(startRaw),
-      end: formatTime(endRaw)
-    };
+  function encodeBase64(bytes) {
+    let binary = '';
+    // Chunked so String.fromCharCode never gets too many arguments
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
   }
 
   /**
-   * Parses Banner days string (e.g., "-T-R---") to ICS BYDAY array
-   * @param {string} daysStr - Banner days string
-   * @returns {string[]} Array of ICS day codes (e.g., ["TU", "TH"])
+   * Saves a generated file through the background worker's chrome.downloads
+   * @param {string|Uint8Array} content - File content (text, or bytes for binary formats)
+   * @param {string} filename - Path relative to the download folder
+   * @param {string} mimeType - MIME type of the file
+   * @param {boolean} saveAs - Show the Save As dialog
+   * @returns {Promise<string>} Where the browser saved the file
+   * @throws {Error} If the download was cancelled or failed
    */
-  function parseBannerDays(daysStr) {
-    if (!daysStr || typeof daysStr !== 'string') return [];
-    
-    const days = [];
-    const trimmed = daysStr.trim().toUpperCase();
-    
-    // Position-based parsing: M T W R F S U
-    const positions = ['M', 'T', 'W', 'R', 'F', 'S', 'U'];
+  async function downloadFile(content, filename, mimeType, saveAs = false) {
+    let result;
+    try {
+      result = await chrome.runtime.sendMessage({
+        type: MESSAGE_TYPES.DOWNLOAD,
+        content: typeof content === 'string' ? content : encodeBase64(content),
+        encoding: typeof content === 'string' ? 'text' : 'base64',
+        filename,
+        mimeType,
+        saveAs
+      });
+    } catch (error) {
+      // Happens after the extension is reloaded or updated under an open tab
+      throw new Error(`Could not reach the extension to save the file (${error.message}). Reload the page and try again.`);
+    }
     
-    for (let i = 0; i < positions.length; i++) {
-      if (trimmed.includes(positions[i])) {
-        const icsDay = DAY_MAP[positions[i]];
-        if (icsDay) {
-          days.push(icsDay);
-        }
+    if (!result || !result.ok) {
+      if (result && result.cancelled) {
+        throw new Error('The download was cancelled, so no file was saved.');
       }
+      throw new Error(`The file could not be saved: ${(result && result.error) || 'no reply from the extension'}`);
     }
-    
-    return days;
+    return result.filename || filename;
   }
 
   /**
-   * Extracts column index by header text
-   * Handles multi-row headers (common in Banner/Ellucian tables)
-   * @param {HTMLElement} table - Table element
-   * @param {string} headerText - Header text to find
-   * @returns {number} Column index or -1 if not found
+   * Checks a calendar with validateICS
+   * @param {string} icsContent - ICS file content
+   * @param {string} name - Calendar name for the message, when several are exported together
+   * @throws {Error} If the calendar has problems
    */
-  function getColumnIndex(table, headerText) {
-    // Get all header rows (Banner often uses 2-row headers)
-    const headerRows = table.querySelectorAll('tr');
-    const headerTextUpper = headerText.toUpperCase();
-    
-    // First, try to find in the first header row
-    let firstHeaderRow = null;
-    for (const row of headerRows) {
-      if (row.querySelector('th')) {
-        firstHeaderRow = row;
-        break;
+  function checkCalendar(icsContent, name = '') {
+    const problems = validateICS(icsContent);
+    if (problems.length > 0) {
+      console.error('Generated calendar failed validation:', name, problems);
+      const shown = problems.slice(0, 3).join('; ');
+      const more = problems.length > 3 ? ` (and ${problems.length - 3} more)` : '';
+      const which = name ? ` (${name})` : '';
+      throw new Error(`The calendar file was not saved because it has problems${which}: ${shown}${more}`);
+    }
+  }
+
+  /**
+   * Checks the calendar with validateICS, then saves the ICS file
+   * @param {string} icsContent - ICS file content
+   * @param {string} filename - Path relative to the download folder
+   * @param {boolean} saveAs - Show the Save As dialog
+   * @returns {Promise<string>} Where the browser saved the file
+   * @throws {Error} If the calendar has problems (nothing is downloaded) or the download failed
+   */
+  async function downloadICS(icsContent, filename = 'langara-schedule.ics', saveAs = false) {
+    checkCalendar(icsContent);
+    return downloadFile(icsContent, filename, EXPORTERS.ics.mimeType, saveAs);
+  }
+
+  /**
+   * Scrapes all course data from the table
+   * @param {Object} diagnostics - Receives what was found and how each row parsed, for the diagnostics panel
+   * @param {Object} typeAliases - User meeting type aliases, from settings.typeAliases
+   * @returns {Array<Object>} Array of parsed course data
+   */
+  function scrapeCourseData(diagnostics = {}, typeAliases = {}) {
+    const table = findDataTable(document, diagnostics);
+    if (!table) {
+      // The week view has no course table, but its grid can be rebuilt into sessions
+      if (findWeekGrids(document).length > 0) {
+        return scrapeWeekViewData(typeAliases, diagnostics);
       }
+      throw new Error('Could not find course schedule table on this page.');
     }
     
-    if (firstHeaderRow) {
-      const headers = firstHeaderRow.querySelectorAll('th');
-      for (let i = 0; i < headers.length; i++) {
-        if (headers[i].textContent.trim().toUpperCase().includes(headerTextUpper)) {
-          return i;
-        }
-      }
+    return parseCourseTable(table, diagnostics, typeAliases);
+  }
+
+  /**
+   * Scrapes course data from the "By Week View" grid(s)
+   * Meetings from every week viewed in this tab are kept in sessionStorage per term
+   * and merged, so paging through the term's weeks widens each session's start/end dates
+   * @param {Object} typeAliases - User meeting type aliases, from settings.typeAliases
+   * @param {Object} diagnostics - Receives the grids found, see parseWeekView
+   * @returns {Array<Object>} Array of parsed course data (same shape as scrapeCourseData)
+   */
+  function scrapeWeekViewData(typeAliases = {}, diagnostics = {}) {
+    let savedMeetings = {};
+    try {
+      const saved = JSON.parse(sessionStorage.getItem(WEEK_VIEW_STORAGE_KEY) || '{}');
+      // Meetings saved before they were kept per term can't be told apart; start over
+      savedMeetings = saved && !Array.isArray(saved) ? saved : {};
+    } catch (error) {
+      console.warn('Ignoring unreadable saved week view meetings:', error);
+    }
+    
+    const page = { url: window.location.href, text: document.body.innerText };
+    const { courses, meetings } = parseWeekView(document, typeAliases, diagnostics, savedMeetings, page);
+    try {
+      sessionStorage.setItem(WEEK_VIEW_STORAGE_KEY, JSON.stringify(meetings));
+    } catch (error) {
+      console.warn('Could not save week view meetings:', error);
     }
     
-    // If not found, check all header rows (for multi-row headers)
-    for (const row of headerRows) {
-      const headers = row.querySelectorAll('th');
-      if (headers.length === 0) break; // Stop if we hit a data row
+    return courses;
+  }
+
+  /**
+   * Reads the schedule from Banner 9's JSON endpoints (the page itself is rendered client-side)
+   * Requests the page already made tell which term it shows; their responses are reused
+   * from the browser cache where Banner allows it
+   * @param {Object} diagnostics - Receives what was loaded and each meeting, for the diagnostics panel
+   * @param {string|null} termCode - Term to use instead of the page's
+   * @param {Object} typeAliases - User meeting type aliases, from settings.typeAliases
+   * @returns {Promise<Object>} {courses, termCode} from loadBanner9Schedule
+   */
+  async function scrapeBanner9Data(diagnostics = {}, termCode = null, typeAliases = {}) {
+    const loadedUrls = [window.location.href, ...performance.getEntriesByType('resource').map(entry => entry.name)];
+    return loadBanner9Schedule({
+      baseUrl: getBanner9BaseUrl(window.location.href),
+      termCode,
+      loadedUrls,
+      diagnostics,
+      typeAliases
+    });
+  }
+
+  /**
+   * Sends parsing details to the page console, if the "Troubleshooting" option is on
+   * @param {Object} settings - Settings from LangaraSettings.loadSettings
+   */
+  function applyDebugSetting(settings) {
+    setDebugLogger(settings.debug ? (...args) => console.log(...args) : null);
+  }
+
+  /**
+   * Scrapes the schedule and fixes its term and event UIDs
+   * UIDs are fixed up front so excluding or editing sessions later can't shift them
+   * @param {Object} diagnostics - Receives parse details, see scrapeCourseData
+   * @param {string|null} termCode - Term to use instead of the detected one
+   * @param {Object} settings - Settings from LangaraSettings.loadSettings (for the meeting type aliases)
+   * @returns {Promise<Object>} {courses, active, term} where active leaves out dropped sections
+   */
+  async function readSchedule(diagnostics = {}, termCode = null, settings = null) {
+    if (settings) {
+      applyDebugSetting(settings);
+    }
+    const typeAliases = settings ? settings.typeAliases : {};
+    // Banner 9 knows its term; Banner 8 pages are detected from the URL, text or dates
+    const banner9 = isBanner9Page(window.location.href)
+      ? await scrapeBanner9Data(diagnostics, termCode, typeAliases)
+      : null;
+    const courses = banner9 ? banner9.courses : scrapeCourseData(diagnostics, typeAliases);
+    const knownTerm = termCode || (banner9 && banner9.termCode);
+    
+    const term = knownTerm
+      ? describeTerm(knownTerm)
+      : detectTerm(courses, { url: window.location.href, text: document.body.innerText });
+    assignEventUIDs(courses, term).forEach((uid, i) => {
+      courses[i].uid = uid;
+    });
+    
+    const active = courses.filter(course => !isDroppedStatus(course.status));
+    return { courses, active, term };
+  }
+
+  /**
+   * Main function: scrapes the schedule and opens the preview panel
+   * @param {string|null} termCode - Term to use instead of the detected one (from the popup)
+   */
+  async function generateAndDownload(termCode = null) {
+    const button = document.getElementById('langara-ics-download-btn');
+    const diagnostics = {};
+    try {
+      if (button) {
+        button.disabled = true;
+        button.textContent = 'Generating...';
+      }
+      
+      // Remove any existing messages
+      document.querySelectorAll(RESULT_SELECTOR).forEach(existingMsg => existingMsg.remove());
+      
+      const settings = await self.LangaraSettings.loadSettings();
+      const { courses, active, term } = await readSchedule(diagnostics, termCode, settings);
       
-      for (let i = 0; i < headers.length; i++) {
-        const headerText = headers[i].textContent.trim().toUpperCase();
-        if (headerText.includes(headerTextUpper)) {
-          return i;
+      const closures = await loadTermClosures(term);
+      const diff = diffSchedules(await loadPreviousSchedule(term), active);
+      // Where exams with a TBA date are placed
+      const examPeriod = getExamPeriod(active);
+      
+      showPreviewPanel(courses, settings, async (sessions, format) => {
+        if (await exportCourses(sessions, term, settings, format, examPeriod)) {
+          await saveScheduleSnapshot(term, active, sessions);
         }
+      }, diff, examPeriod);
+      showDiagnosticsPanel(diagnostics, false);
+      
+      // Warn (above the panel) about clashes among sessions the student is still registered in
+      showConflictWarnings(findConflicts(active, closures, settings.meetingTypes), active, settings);
+    } catch (error) {
+      console.error('Error generating ICS:', error);
+      showMessage(`Error: ${error.message}`, 'error');
+      // Open the report straight away so "no courses found" can be explained
+      diagnostics.error = error.message;
+      showDiagnosticsPanel(diagnostics, true);
+    } finally {
+      if (button) {
+        button.disabled = false;
+        button.textContent = 'Download Schedule (.ics)';
       }
     }
-    
-    return -1;
   }
 
   /**
-   * Parses a table row to extract course data
-   * @param {HTMLElement} row - Table row element
-   * @param {HTMLElement} table - Table element (for column mapping)
-   * @param {Object} currentCourseInfo - Course info from previous rows (for continuation rows)
-   * @returns {Object|null} Course data object or null if invalid
+   * Generates the chosen export format from (possibly edited) sessions and downloads it
+   * @param {Array<Object>} courses - Sessions to export
+   * @param {Object} term - Term from detectTerm
+   * @param {Object} settings - Settings from LangaraSettings.loadSettings
+   * @param {string} format - Key into EXPORTERS
+   * @param {Object|null} examPeriod - Exam period from getExamPeriod, for TBA exams
+   * @returns {Promise<string|null>} The success message, or null if the export failed
    */
-  function parseTableRow(row, table, currentCourseInfo = {}) {
-    const cells = row.querySelectorAll('td');
-    if (cells.length < 3) return null; // Not enough data
-    
-    // Based on the two-row header structure:
-    // Row 1: CRN | Subj | Crse | Sec | Status | Cred | Title | (empty)
-    // Row 2: (empty) | (empty) | (empty) | (empty) | (empty) | (empty) | (empty) | Start | End | Type | Days | Time | Room | Instructor
-    // So the columns are: 0=CRN, 1=Subj, 2=Crse, 3=Sec, 4=Status, 5=Cred, 6=Title, 7=Start, 8=End, 9=Type, 10=Days, 11=Time, 12=Room, 13=Instructor
-    
-    // Try to get column indices first (in case structure varies)
-    const subjIdx = getColumnIndex(table, 'Subj');
-    const crseIdx = getColumnIndex(table, 'Crse');
-    const secIdx = getColumnIndex(table, 'Sec');
-    const titleIdx = getColumnIndex(table, 'Title');
-    const typeIdx = getColumnIndex(table, 'Type');
-    const daysIdx = getColumnIndex(table, 'Days');
-    const timeIdx = getColumnIndex(table, 'Time');
-    const startIdx = getColumnIndex(table, 'Start');
-    const endIdx = getColumnIndex(table, 'End');
-    const roomIdx = getColumnIndex(table, 'Room');
-    
-    // Extract data with fallback to known column positions
-    const getCellText = (idx, fallbackIdx) => {
-      if (idx >= 0 && idx < cells.length) {
-        return cells[idx].textContent.trim();
+  async function exportCourses(courses, term, settings, format = 'ics', examPeriod = null) {
+    try {
+      const exporter = EXPORTERS[format] || EXPORTERS.ics;
+      
+      // Sessions that can't become events are reported rather than silently dropped
+      const notExported = [];
+      courses = courses.filter(course => {
+        const schedule = getSessionSchedule(course, examPeriod, settings.meetingTypes);
+        if (schedule.kind === 'none') {
+          notExported.push(`${buildSummary(course, settings)} (${schedule.reason})`);
+          return false;
+        }
+        return true;
+      });
+      if (courses.length === 0) {
+        throw new Error(`No sessions could be exported: ${notExported.join('; ')}`);
       }
-      if (fallbackIdx >= 0 && fallbackIdx < cells.length) {
-        return cells[fallbackIdx].textContent.trim();
+      
+      // Only calendar exports advance the SEQUENCE state, once the file is saved
+      const { sequences, state } = exporter.calendar
+        ? await getEventSequences(courses, term)
+        : { sequences: {}, state: null };
+      const closures = await loadTermClosures(term);
+      const context = { term, sequences, closures, settings, examPeriod };
+      
+      // Per-course calendars are checked one by one before they are zipped
+      let content;
+      let calendars = [];
+      if (exporter === EXPORTERS.zip) {
+        calendars = generateCourseCalendars(courses, context);
+        calendars.forEach(calendar => checkCalendar(calendar.content, calendar.name));
+        content = createZip(calendars.map(calendar => ({ name: calendar.filename, content: calendar.content })));
+      } else {
+        content = exporter.generate(courses, context);
       }
-      return '';
-    };
-    
-    // Debug: Log all cell contents for debugging (will be filtered by caller)
-    const allCellTexts = Array.from(cells).map((cell, idx) => `[${idx}]: "${cell.textContent.trim()}"`);
-    
-    // Try multiple possible column positions for Type, Start, End, Time, Days
-    // The table might have different structures, so we'll search for these key fields
-    let type = '';
-    let start = '';
-    let end = '';
-    let time = '';
-    let days = '';
-    
-    // Search for Type column - it's critical for identifying valid rows
-    // Try pattern matching first (more reliable)
-    for (let i = 0; i < cells.length; i++) {
-      const cellText = cells[i].textContent.trim().toUpperCase();
-      if (cellText === 'LECTURE' || cellText === 'LAB' || cellText === 'EXAM') {
-        type = cells[i].textContent.trim();
-        break;
+      
+      // Name the file from the template, with today's local date
+      const now = new Date();
+      const dateStr = [now.getFullYear(), now.getMonth() + 1, now.getDate()]
+        .map(part => String(part).padStart(2, '0')).join('-');
+      const filename = self.LangaraSettings.buildDownloadFilename(settings, {
+        term: term.name,
+        termCode: term.code,
+        date: dateStr
+      }, exporter.extension);
+      const saveAs = settings.downloads.saveAs;
+      
+      const savedAs = exporter === EXPORTERS.ics
+        ? await downloadICS(content, filename, saveAs)
+        : await downloadFile(content, filename, exporter.mimeType, saveAs);
+      if (state) {
+        await saveEventSequences(state);
       }
-    }
-    
-    // If Type not found by pattern, try using column index
-    if (!type) {
-      type = getCellText(typeIdx, 9);
-    }
-    
-    // Search for Start date (format: DD-MON-YYYY, e.g., 06-MAY-2024)
-    for (let i = 0; i < cells.length; i++) {
-      const cellText = cells[i].textContent.trim();
-      // Match date pattern: 2 digits, hyphen, 3 letters, hyphen, 4 digits
-      if (cellText.match(/^\d{1,2}-[A-Z]{3}-\d{4}$/i)) {
-        start = cellText;
-        // End date is usually in the next column
-        if (i + 1 < cells.length) {
-          const endText = cells[i + 1].textContent.trim();
-          if (endText.match(/^\d{1,2}-[A-Z]{3}-\d{4}$/i)) {
-            end = endText;
-          }
-        }
-        break;
+      
+      // Show success message, listing the closure dates left out of recurring events
+      const skippedDates = new Set();
+      courses.forEach(course => getExcludedDates(course, closures, settings.meetingTypes).forEach(date => skippedDates.add(date)));
+      let message = `Successfully exported ${courses.length} course session(s) to ${savedAs}`;
+      if (calendars.length > 0) {
+        message += ` (${calendars.length} calendar(s): ${calendars.map(calendar => calendar.filename).join(', ')})`;
       }
-    }
-    
-    // If Start not found by pattern, try using column index
-    if (!start) {
-      start = getCellText(startIdx, 7);
-      end = getCellText(endIdx, 8);
-    }
-    
-    // Search for Time (format: HHHH-HHHH, e.g., 1230-1420 or 830-1025)
-    for (let i = 0; i < cells.length; i++) {
-      const cellText = cells[i].textContent.trim();
-      // Match time pattern: 3-4 digits, hyphen, 3-4 digits
-      if (cellText.match(/^\d{3,4}-\d{3,4}$/)) {
-        time = cellText;
-        break;
+      if (skippedDates.size > 0) {
+        const skippedList = Array.from(skippedDates).sort().map(date => formatClosureDate(date, closures[date]));
+        message += `. Skipped college closures: ${skippedList.join('; ')}`;
       }
-    }
-    
-    // If Time not found by pattern, try using column index
-    if (!time) {
-      time = getCellText(timeIdx, 11);
-    }
-    
-    // Search for Days (format with M, T, W, R, F, S, U and hyphens, e.g., -T-R---)
-    for (let i = 0; i < cells.length; i++) {
-      const cellText = cells[i].textContent.trim();
-      // Match days pattern: exactly 7 characters, each is M, T, W, R, F, S, U, or hyphen
-      if (cellText.match(/^[-MTWRFSUmtwfrsu]{7}$/)) {
-        days = cellText;
-        break;
+      
+      // List the reminders attached to each meeting type that was exported
+      const { describeReminder } = self.LangaraSettings;
+      const reminderSummaries = Array.from(new Set(courses.map(course => course.type)))
+        .filter(type => getReminders({ type }, settings).length > 0)
+        .map(type => `${getMeetingType(type).name.toLowerCase()} ${getReminders({ type }, settings).map(describeReminder).join(' + ')} before`);
+      if (exporter.calendar && reminderSummaries.length > 0) {
+        message += `. Reminders: ${reminderSummaries.join('; ')}`;
       }
-    }
-    
-    // If Days not found by pattern, try using column index
-    if (!days) {
-      days = getCellText(daysIdx, 10);
-    }
-    
-    // Get other fields using column indices or known positions
-    const subj = getCellText(subjIdx, 1);
-    const crse = getCellText(crseIdx, 2);
-    const sec = getCellText(secIdx, 3);
-    const title = getCellText(titleIdx, 6);
-    const room = getCellText(roomIdx, 12);
-    
-    // Use current course info if this row doesn't have course identification
-    const finalSubj = subj || currentCourseInfo.subject || '';
-    const finalCrse = crse || currentCourseInfo.course || '';
-    const finalSec = sec || currentCourseInfo.section || '';
-    const finalTitle = title || currentCourseInfo.title || '';
-    
-    // Validate required fields
-    // Must have a type (Lecture, Lab, or Exam) to create an event
-    if (!type || type.trim() === '') {
-      return null;
-    }
-    
-    // Must have at least start date or time to create a valid event
-    if (!start && !time) {
+      if (notExported.length > 0) {
+        message += `. Not exported: ${notExported.join('; ')}`;
+      }
+      showMessage(message, 'success');
+      return message;
+    } catch (error) {
+      console.error('Error generating ICS:', error);
+      showMessage(`Error: ${error.message}`, 'error');
       return null;
     }
-    
-    // Normalize type to handle variations
-    const normalizedType = type.toUpperCase().trim();
-    
-    // Build a course identifier - use available info or generic placeholder
-    const courseIdentifier = (finalSubj && finalCrse) ? `${finalSubj} ${finalCrse}`.trim() : 
-                            (finalSubj ? finalSubj : 'Course');
-    const sectionPart = finalSec ? ` ${finalSec}` : '';
-    const courseCode = `${courseIdentifier}${sectionPart}`.trim();
-    
-    return {
-      subject: finalSubj,
-      course: finalCrse,
-      section: finalSec,
-      title: finalTitle || courseCode,
-      type: normalizedType,
-      days: days,
-      time: time,
-      start: start,
-      end: end,
-      room: room
-    };
   }
 
   /**
-   * Creates an ICS-formatted date-time string in PST timezone
-   * @param {string} dateStr - Date in YYYYMMDD format
-   * @param {string} timeStr - Time in HH:MM format
-   * @returns {string} ICS date-time string (YYYYMMDDTHHMMSS)
+   * Loads the schedule saved at the last export for a term
+   * @param {Object} term - Term from detectTerm
+   * @returns {Promise<Object|null>} {savedAt, sessions} or null if none
    */
-  function formatICSDateTime(dateStr, timeStr) {
-    if (!dateStr || !timeStr) return '';
-    
-    const [hours, minutes] = timeStr.split(':');
-    return `${dateStr}T${hours.padStart(2, '0')}${minutes.padStart(2, '0')}00`;
+  async function loadPreviousSchedule(term) {
+    try {
+      const result = await chrome.storage.local.get(HISTORY_STORAGE_KEY);
+      return (result[HISTORY_STORAGE_KEY] || {})[term.code] || null;
+    } catch (error) {
+      console.warn('Could not load previous export:', error);
+      return null;
+    }
   }
 
   /**
-   * Converts PST date-time to UTC for RRULE UNTIL clause
-   * PST is UTC-8, PDT is UTC-7 (we'll use PST = UTC-8)
-   * @param {string} dateStr - Date in YYYYMMDD format
-   * @param {string} timeStr - Time in HH:MM format
-   * @returns {string} UTC date-time string (YYYYMMDDTHHMMSSZ)
+   * Saves the schedule as of this export, for the next run's diff
+   * Sessions that were exported are saved as edited; the rest as scraped
+   * @param {Object} term - Term from detectTerm
+   * @param {Array<Object>} current - Every active session on the page
+   * @param {Array<Object>} exported - The (possibly edited) sessions just exported
    */
-  function formatICSDateTimeUTC(dateStr, timeStr) {
-    if (!dateStr || !timeStr) return '';
-    
-    const [hours, minutes] = timeStr.split(':');
-    const hour = parseInt(hours, 10);
-    const minute = parseInt(minutes, 10);
-    
-    // Parse date
-    const year = parseInt(dateStr.substring(0, 4), 10);
-    const month = parseInt(dateStr.substring(4, 6), 10) - 1; // JS months are 0-indexed
-    const day = parseInt(dateStr.substring(6, 8), 10);
-    
-    // Create date in PST (UTC-8)
-    const pstDate = new Date(Date.UTC(year, month, day, hour, minute, 0));
-    // Add 8 hours to convert PST to UTC
-    pstDate.setUTCHours(pstDate.getUTCHours() + 8);
-    
-    // Format as YYYYMMDDTHHMMSSZ
-    const utcYear = pstDate.getUTCFullYear();
-    const utcMonth = String(pstDate.getUTCMonth() + 1).padStart(2, '0');
-    const utcDay = String(pstDate.getUTCDate()).padStart(2, '0');
-    const utcHours = String(pstDate.getUTCHours()).padStart(2, '0');
-    const utcMinutes = String(pstDate.getUTCMinutes()).padStart(2, '0');
+  async function saveScheduleSnapshot(term, current, exported) {
+    const byUid = {};
+    for (const session of [...current, ...exported]) {
+      byUid[session.uid] = {};
+      for (const field of ['uid', 'crn', 'subject', 'course', 'section', 'title', 'type', ...DIFF_FIELDS.map(f => f.key)]) {
+        byUid[session.uid][field] = session[field] || '';
+      }
+    }
     
-    return `${utcYear}${utcMonth}${utcDay}T${utcHours}${utcMinutes}00Z`;
-  }
-
-  /**
-   * Escapes special characters in ICS text fields
-   * @param {string} text - Text to escape
-   * @returns {string} Escaped text
-   */
-  function escapeICSText(text) {
-    if (!text) return '';
-    return text
-      .replace(/\\/g, '\\\\')
-      .replace(/;/g, '\\;')
-      .replace(/,/g, '\\,')
-      .replace(/\n/g, '\\n');
+    try {
+      const result = await chrome.storage.local.get(HISTORY_STORAGE_KEY);
+      const history = result[HISTORY_STORAGE_KEY] || {};
+      history[term.code] = { savedAt: new Date().toISOString(), sessions: Object.values(byUid) };
+      await chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: history });
+    } catch (error) {
+      console.warn('Could not save export history:', error);
+    }
   }
 
   /**
-   * Creates a VEVENT block for a course session
-   * @param {Object} courseData - Parsed course data
-   * @returns {string} ICS VEVENT block
+   * Compares the current schedule with the one saved at the last export
+   * Sessions are matched by UID (term + CRN + meeting type + meeting index), so a
+   * meeting moved to other days or times shows as changed
+   * @param {Object|null} previous - Saved schedule from loadPreviousSchedule
+   * @param {Array<Object>} current - Active sessions, each with a uid
+   * @returns {Object|null} {savedAt, added, dropped, changed} or null without a previous export;
+   *   changed entries are {session, changes: [{label, before, after}]}
    */
-  function createEvent(courseData) {
-    const { subject, course, section, title, type, days, time, start, end, room } = courseData;
-    
-    // Parse dates and times
-    const startDate = parseBannerDate(start);
-    const endDate = parseBannerDate(end);
-    const timeData = parseBannerTime(time);
+  function diffSchedules(previous, current) {
+    if (!previous) return null;
     
-    if (!startDate || !timeData) {
-      console.warn('Invalid date or time for course:', courseData);
-      return '';
+    const previousByUid = {};
+    for (const session of previous.sessions) {
+      previousByUid[session.uid] = session;
     }
-    
-    // Build course identifier - handle missing subject/course gracefully
-    let courseCode = '';
-    if (subject && course) {
-      courseCode = `${subject} ${course}`.trim();
-      if (section) {
-        courseCode += ` ${section}`;
-      }
-    } else if (subject) {
-      courseCode = subject;
-      if (section) {
-        courseCode += ` ${section}`;
-      }
-    } else if (course) {
-      courseCode = course;
-      if (section) {
-        courseCode += ` ${section}`;
+    const currentUids = new Set(current.map(session => session.uid));
+    
+    const added = [];
+    const changed = [];
+    for (const session of current) {
+      const before = previousByUid[session.uid];
+      if (!before) {
+        added.push(session);
+        continue;
       }
-    } else {
-      // Fallback: use title or generic identifier
-      courseCode = title || 'Course';
-    }
-    
-    // Build summary (event title)
-    let summary = courseCode;
-    if (type === 'EXAM') {
-      summary = `FINAL EXAM - ${summary}`;
-    } else {
-      summary = `${summary} ${type}`;
-    }
-    
-    // Build description
-    const description = title || courseCode;
-    
-    // Build location
-    const location = room ? `Langara College, Room ${room}` : 'Langara College';
-    
-    // Format start and end date-times
-    const dtStart = formatICSDateTime(startDate, timeData.start);
-    const dtEnd = formatICSDateTime(startDate, timeData.end);
-    
-    let icsEvent = `BEGIN:VEVENT\r\n`;
-    icsEvent += `DTSTART;TZID=America/Los_Angeles:${dtStart}\r\n`;
-    icsEvent += `DTEND;TZID=America/Los_Angeles:${dtEnd}\r\n`;
-    
-    // Add recurrence rule for Lectures and Labs (not Exams)
-    if (type !== 'EXAM') {
-      const icsDays = parseBannerDays(days);
-      if (icsDays.length > 0 && endDate) {
-        // Format UNTIL date as UTC (convert from PST)
-        const untilDate = formatICSDateTimeUTC(endDate, '23:59');
-        icsEvent += `RRULE:FREQ=WEEKLY;BYDAY=${icsDays.join(',')};UNTIL=${untilDate}\r\n`;
+      
+      const changes = [];
+      for (const { key, label } of DIFF_FIELDS) {
+        if ((before[key] || '') !== (session[key] || '')) {
+          changes.push({ label, before: before[key] || '(none)', after: session[key] || '(none)' });
+        }
       }
-    } else {
-      // For exams, if end date is different, update DTEND
-      if (endDate && endDate !== startDate) {
-        const examEnd = formatICSDateTime(endDate, timeData.end);
-        icsEvent = icsEvent.replace(`DTEND;TZID=America/Los_Angeles:${dtEnd}`, `DTEND;TZID=America/Los_Angeles:${examEnd}`);
+      if (changes.length > 0) {
+        changed.push({ session, changes });
       }
     }
     
-    icsEvent += `SUMMARY:${escapeICSText(summary)}\r\n`;
-    icsEvent += `DESCRIPTION:${escapeICSText(description)}\r\n`;
-    icsEvent += `LOCATION:${escapeICSText(location)}\r\n`;
-    icsEvent += `END:VEVENT\r\n`;
+    const dropped = previous.sessions.filter(session => !currentUids.has(session.uid));
     
-    return icsEvent;
+    return { savedAt: previous.savedAt, added, dropped, changed };
   }
 
   /**
-   * Generates complete ICS file content from course events
-   * @param {Array<Object>} courses - Array of parsed course data
-   * @returns {string} Complete ICS file content
-   */
-  function generateICS(courses) {
-    let ics = `BEGIN:VCALENDAR\r\n`;
-    ics += `VERSION:2.0\r\n`;
-    ics += `PRODID:-//Langara Swing Schedule Exporter//EN\r\n`;
-    ics += `CALSCALE:GREGORIAN\r\n`;
-    ics += `X-WR-TIMEZONE:America/Los_Angeles\r\n`;
-    
-    // Generate events
-    for (const course of courses) {
-      const event = createEvent(course);
-      if (event) {
-        ics += event;
-      }
-    }
-    
-    ics += `END:VCALENDAR\r\n`;
-    return ics;
+   * Describes a session's field changes (e.g. "room A212 → B101, time 0830-1020 → 1030-1220")
+   * @param {Array<Object>} changes - Changes from diffSchedules
+   * @returns {string} Readable description
+   */
+  function describeChanges(changes) {
+    return changes.map(change => `${change.label} ${change.before} → ${change.after}`).join(', ');
   }
 
   /**
-   * Triggers download of ICS file
-   * @param {string} icsContent - ICS file content
-   * @param {string} filename - Filename for download
+   * Builds the "changes since your last export" box for the preview panel
+   * @param {Object} diff - Result of diffSchedules
+   * @param {Object} settings - Settings from LangaraSettings.loadSettings
+   * @returns {HTMLElement} Diff summary element
    */
-  function downloadICS(icsContent, filename = 'langara-schedule.ics') {
-    const blob = new Blob([icsContent], { type: 'text/calendar;charset=utf-8' });
-    const url = URL.createObjectURL(blob);
+  function createDiffSummary(diff, settings) {
+    const box = document.createElement('div');
+    box.className = 'langara-ics-preview-diff';
+    
+    const savedAt = new Date(diff.savedAt).toLocaleDateString();
+    const total = diff.added.length + diff.dropped.length + diff.changed.length;
+    if (total === 0) {
+      box.textContent = `No changes since your last export on ${savedAt}.`;
+      return box;
+    }
     
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
+    box.textContent = `Changes since your last export on ${savedAt}: ` +
+      `${diff.added.length} added, ${diff.dropped.length} dropped, ${diff.changed.length} changed`;
     
-    URL.revokeObjectURL(url);
+    const list = document.createElement('ul');
+    const addItem = (text) => {
+      const item = document.createElement('li');
+      item.textContent = text;
+      list.appendChild(item);
+    };
+    diff.added.forEach(session => addItem(`Added: ${buildSummary(session, settings)}`));
+    diff.dropped.forEach(session => addItem(`Dropped: ${buildSummary(session, settings)}`));
+    diff.changed.forEach(({ session, changes }) => addItem(
+      `Changed: ${buildSummary(session, settings)} - ${describeChanges(changes)}`
+    ));
+    box.appendChild(list);
+    
+    return box;
   }
 
   /**
-   * Scrapes all course data from the table
-   * @returns {Array<Object>} Array of parsed course data
+   * Describes how a session will be exported, for its row in the preview
+   * @param {Object} schedule - Schedule from getSessionSchedule
+   * @returns {string} Short note, or '' for ordinary timed events
    */
-  function scrapeCourseData() {
-    const table = findDataTable();
-    if (!table) {
-      throw new Error('Could not find course schedule table on this page.');
+  function describeSchedule(schedule) {
+    switch (schedule.kind) {
+      case 'none':
+        return `Not exported: ${schedule.reason}`;
+      case 'weekly-all-day':
+        return 'Weekly all-day event (time TBA)';
+      case 'all-day':
+        return schedule.label === 'online' ? 'All-day event (online)' : 'All-day event (time TBA)';
+      case 'exam-placeholder':
+        return 'Placeholder across the exam period (date TBA)';
+      default:
+        return '';
     }
+  }
+
+  /**
+   * Shows the preview-and-edit panel listing every parsed session
+   * Sessions can be excluded or edited inline; the ICS is built from the edited copies
+   * @param {Array<Object>} courses - Array of parsed course data
+   * @param {Object} settings - Settings from LangaraSettings.loadSettings
+   * @param {Function} onDownload - Called with the included, edited sessions and the chosen format
+   * @param {Object|null} diff - Changes since the last export, from diffSchedules
+   * @param {Object|null} examPeriod - Exam period from getExamPeriod, for TBA exams
+   */
+  function showPreviewPanel(courses, settings, onDownload, diff = null, examPeriod = null) {
+    closePreviewPanel();
+    
+    // Work on copies so cancelling leaves the scraped data untouched
+    const sessions = courses.map(course => ({ ...course }));
+    // Dropped/withdrawn sections start unticked
+    const included = sessions.map(session => !isDroppedStatus(session.status));
+    const summaryEdited = sessions.map(() => false);
+    
+    const fields = [
+      { key: 'summary', label: 'Summary' },
+      { key: 'type', label: 'Type' },
+      { key: 'days', label: 'Days', placeholder: '-T-R---' },
+      { key: 'time', label: 'Time', placeholder: '1230-1420' },
+      { key: 'start', label: 'Start', placeholder: '06-MAY-2024' },
+      { key: 'end', label: 'End', placeholder: '06-AUG-2024' },
+      { key: 'room', label: 'Room', placeholder: 'TBA' },
+      { key: 'instructor', label: 'Instructor' }
+    ];
     
-    const rows = table.querySelectorAll('tr');
-    const courses = [];
-    let skippedRows = 0;
-    let invalidRows = 0;
-    let headerRowCount = 0;
+    const panel = document.createElement('div');
+    panel.id = 'langara-ics-preview-panel';
+    panel.className = 'langara-ics-preview-panel';
     
-    // Count header rows (Banner uses 2-row headers)
-    for (let i = 0; i < rows.length; i++) {
-      if (rows[i].querySelector('th')) {
-        headerRowCount++;
-      } else {
-        break; // Stop at first data row
-      }
+    const heading = document.createElement('div');
+    heading.className = 'langara-ics-preview-heading';
+    heading.textContent = 'Review your schedule before downloading. Untick sessions to leave them out, or edit any field.';
+    panel.appendChild(heading);
+    
+    // New and changed sessions, keyed by UID, for the row badges and "only changed" filter
+    const changeNotes = {};
+    if (diff) {
+      diff.added.forEach(session => {
+        changeNotes[session.uid] = { badge: 'New', note: 'New since your last export' };
+      });
+      diff.changed.forEach(({ session, changes }) => {
+        changeNotes[session.uid] = { badge: 'Changed', note: describeChanges(changes) };
+      });
+      panel.appendChild(createDiffSummary(diff, settings));
     }
     
-    // Get headers from all header rows for debugging
-    const allHeaders = [];
-    for (let i = 0; i < headerRowCount && i < rows.length; i++) {
-      const headerRow = rows[i];
-      const headers = Array.from(headerRow.querySelectorAll('th')).map(th => th.textContent.trim());
-      allHeaders.push(headers);
+    const table = document.createElement('table');
+    table.className = 'langara-ics-preview-table';
+    
+    const headerRow = document.createElement('tr');
+    for (const label of ['Include', 'Course', ...fields.map(field => field.label), 'Reminders']) {
+      const th = document.createElement('th');
+      th.textContent = label;
+      headerRow.appendChild(th);
+    }
+    table.appendChild(headerRow);
+    
+    const count = document.createElement('span');
+    count.className = 'langara-ics-preview-count';
+    
+    const formatPicker = document.createElement('select');
+    formatPicker.className = 'langara-ics-format-picker';
+    formatPicker.title = 'Export format';
+    for (const [key, exporter] of Object.entries(EXPORTERS)) {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = exporter.label;
+      formatPicker.appendChild(option);
     }
-    console.log(`Found ${headerRowCount} header row(s):`, allHeaders);
+    formatPicker.value = EXPORTERS[settings.exportFormat] ? settings.exportFormat : 'ics';
     
-    // Track current course info for rows that might not have all fields
-    let currentCourseInfo = {
-      subject: '',
-      course: '',
-      section: '',
-      title: ''
+    const downloadButton = document.createElement('button');
+    downloadButton.className = 'langara-ics-download-btn';
+    const updateDownloadLabel = () => {
+      downloadButton.textContent = `Download .${EXPORTERS[formatPicker.value].extension}`;
     };
+    updateDownloadLabel();
+    formatPicker.addEventListener('change', () => {
+      updateDownloadLabel();
+      // Remember the choice for next time
+      settings.exportFormat = formatPicker.value;
+      self.LangaraSettings.saveExportFormat(formatPicker.value).catch(error => {
+        console.warn('Could not save export format:', error);
+      });
+    });
     
-    // Skip header row(s) and iterate through data rows
-    for (let i = headerRowCount; i < rows.length; i++) {
-      const row = rows[i];
-      const cells = row.querySelectorAll('td');
+    const isExportable = (session) => getSessionSchedule(session, examPeriod, settings.meetingTypes).kind !== 'none';
+    
+    const updateCount = () => {
+      const exportable = sessions.filter((session, i) => included[i] && isExportable(session)).length;
+      const excluded = included.filter(value => !value).length;
+      const invalid = sessions.filter((session, i) => included[i] && !isExportable(session)).length;
       
-      // Skip rows with no cells or very few cells (likely empty/spacer rows)
-      if (cells.length < 3) {
-        skippedRows++;
-        continue;
-      }
+      let text = `${exportable} event(s) will be exported`;
+      if (excluded > 0) text += `, ${excluded} excluded`;
+      if (invalid > 0) text += `, ${invalid} not exported`;
+      count.textContent = text;
+      downloadButton.disabled = exportable === 0;
+    };
+    
+    const checkboxes = [];
+    const rowRefreshers = [];
+    
+    sessions.forEach((session, i) => {
+      const row = document.createElement('tr');
+      const inputs = {};
+      
+      const remindersCell = document.createElement('td');
+      const scheduleNote = document.createElement('div');
+      scheduleNote.className = 'langara-ics-preview-note';
+      // The colour the session gets in the calendar and timetable
+      const swatch = document.createElement('span');
+      swatch.className = 'langara-ics-preview-swatch';
+      
+      const refreshRow = () => {
+        if (!summaryEdited[i]) {
+          inputs.summary.value = buildSummary({ ...session, summary: '' }, settings);
+        }
+        const color = getCourseColor(session, settings);
+        swatch.style.backgroundColor = color;
+        swatch.title = `Calendar colour: ${color}`;
+        const reminders = getReminders(session, settings);
+        remindersCell.textContent = reminders.length > 0
+          ? reminders.map(self.LangaraSettings.describeReminder).join(', ')
+          : 'None';
+        const schedule = getSessionSchedule(session, examPeriod, settings.meetingTypes);
+        scheduleNote.textContent = describeSchedule(schedule);
+        row.classList.toggle('langara-ics-preview-row-excluded', !included[i]);
+        row.classList.toggle('langara-ics-preview-row-invalid', included[i] && schedule.kind === 'none');
+        row.title = schedule.kind === 'none'
+          ? 'Fix the start/end date (DD-MON-YYYY) or time (HHMM-HHMM) to export this session'
+          : (schedule.note || '');
+      };
+      rowRefreshers.push(refreshRow);
       
-      // Update current course info if this row has course identification fields
-      // (Some rows might only have schedule info like Type, Days, Time, etc.)
-      const subjText = cells.length > 1 ? cells[1].textContent.trim() : '';
-      const crseText = cells.length > 2 ? cells[2].textContent.trim() : '';
-      const secText = cells.length > 3 ? cells[3].textContent.trim() : '';
-      const titleText = cells.length > 6 ? cells[6].textContent.trim() : '';
+      const includeCell = document.createElement('td');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = included[i];
+      checkbox.addEventListener('change', () => {
+        included[i] = checkbox.checked;
+        refreshRow();
+        updateCount();
+      });
+      checkboxes.push(checkbox);
+      includeCell.appendChild(checkbox);
+      row.appendChild(includeCell);
       
-      if (subjText && crseText) {
-        // This row has course identification, update our tracking
-        currentCourseInfo = {
-          subject: subjText,
-          course: crseText,
-          section: secText,
-          title: titleText
-        };
+      const courseCell = document.createElement('td');
+      courseCell.textContent = buildCourseCode(session);
+      if (isDroppedStatus(session.status)) {
+        courseCell.textContent += ` (${session.status})`;
+      }
+      courseCell.title = [session.title, session.crn && `CRN ${session.crn}`, session.status]
+        .filter(Boolean).join(' - ');
+      courseCell.insertBefore(swatch, courseCell.firstChild);
+      if (changeNotes[session.uid]) {
+        const badge = document.createElement('span');
+        badge.className = 'langara-ics-preview-badge';
+        badge.textContent = changeNotes[session.uid].badge;
+        badge.title = changeNotes[session.uid].note;
+        courseCell.appendChild(badge);
       }
+      courseCell.appendChild(scheduleNote);
+      row.appendChild(courseCell);
       
-      const courseData = parseTableRow(row, table, currentCourseInfo);
-      if (courseData) {
-        courses.push(courseData);
-        // Update current course info from successfully parsed data
-        if (courseData.subject && courseData.course) {
-          currentCourseInfo = {
-            subject: courseData.subject,
-            course: courseData.course,
-            section: courseData.section,
-            title: courseData.title
-          };
-        }
-      } else {
-        invalidRows++;
-        // Log first 5 invalid rows for debugging with detailed info
-        if (invalidRows <= 5) {
-          const cellTexts = Array.from(cells).map((cell, idx) => `[${idx}]="${cell.textContent.trim()}"`);
-          console.log(`Invalid row ${invalidRows}:`, cellTexts.join(' | '));
-          console.log(`  Cell count: ${cells.length}`);
-        }
+      for (const field of fields) {
+        const cell = document.createElement('td');
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'langara-ics-preview-input';
+        input.value = session[field.key] || '';
+        input.placeholder = field.placeholder || '';
+        input.addEventListener('input', () => {
+          const value = input.value.trim();
+          if (field.key === 'summary') {
+            summaryEdited[i] = value !== '';
+            session.summary = value;
+          } else {
+            // Types are stored as their category (e.g. "Sem" -> 'SEMINAR'), otherwise upper-case
+            session[field.key] = field.key === 'type'
+              ? resolveMeetingType(value, settings.typeAliases) || value.toUpperCase()
+              : value;
+          }
+          refreshRow();
+          updateCount();
+        });
+        inputs[field.key] = input;
+        cell.appendChild(input);
+        row.appendChild(cell);
       }
+      
+      row.appendChild(remindersCell);
+      refreshRow();
+      table.appendChild(row);
+    });
+    
+    panel.appendChild(table);
+    
+    const footer = document.createElement('div');
+    footer.className = 'langara-ics-preview-footer';
+    
+    const cancelButton = document.createElement('button');
+    cancelButton.className = 'langara-ics-secondary-btn';
+    cancelButton.textContent = 'Cancel';
+    cancelButton.addEventListener('click', closePreviewPanel);
+    
+    downloadButton.addEventListener('click', () => {
+      // Unexportable sessions are passed on too, so the result message can list them
+      const selected = sessions.filter((session, i) => included[i]);
+      closePreviewPanel();
+      onDownload(selected, formatPicker.value);
+    });
+    
+    // Let the user export just what changed, or go back to the full calendar
+    if (diff && Object.keys(changeNotes).length > 0) {
+      const selectSessions = (predicate) => {
+        sessions.forEach((session, i) => {
+          included[i] = predicate(session);
+          checkboxes[i].checked = included[i];
+          rowRefreshers[i]();
+        });
+        updateCount();
+      };
+      
+      const changedOnlyButton = document.createElement('button');
+      changedOnlyButton.className = 'langara-ics-secondary-btn';
+      changedOnlyButton.textContent = 'Only new & changed';
+      changedOnlyButton.addEventListener('click', () => selectSessions(session => Boolean(changeNotes[session.uid])));
+      
+      const allButton = document.createElement('button');
+      allButton.className = 'langara-ics-secondary-btn';
+      allButton.textContent = 'Full calendar';
+      allButton.addEventListener('click', () => selectSessions(session => !isDroppedStatus(session.status)));
+      
+      footer.appendChild(changedOnlyButton);
+      footer.appendChild(allButton);
     }
     
-    console.log(`Parsed ${courses.length} courses, skipped ${skippedRows} header/empty rows, ${invalidRows} invalid rows`);
+    footer.appendChild(count);
+    footer.appendChild(formatPicker);
+    footer.appendChild(cancelButton);
+    footer.appendChild(downloadButton);
+    panel.appendChild(footer);
     
-    if (courses.length === 0) {
-      // Provide more detailed error message
-      const errorMsg = `No course data found in the table. Found ${rows.length} total rows, ${headerRowCount} header rows, ${skippedRows} empty rows, ${invalidRows} invalid data rows. ` +
-        `Please ensure you are on the "By Course View" page with registered courses visible.`;
-      throw new Error(errorMsg);
-    }
+    updateCount();
     
-    return courses;
+    const button = document.getElementById('langara-ics-download-btn');
+    if (button && button.parentNode) {
+      button.parentNode.insertBefore(panel, button.nextSibling);
+    } else {
+      const pageBody = document.querySelector('.pagebodydiv') || document.body;
+      pageBody.insertBefore(panel, pageBody.firstChild);
+    }
   }
 
   /**
-   * Main function to generate and download ICS file
+   * Removes the preview panel if it is open
    */
-  function generateAndDownload() {
-    try {
-      const button = document.getElementById('langara-ics-download-btn');
-      if (button) {
-        button.disabled = true;
-        button.textContent = 'Generating...';
-      }
-      
-      // Remove any existing messages
-      const existingMsg = document.querySelector('.langara-ics-error-message, .langara-ics-success-message');
-      if (existingMsg) {
-        existingMsg.remove();
+  function closePreviewPanel() {
+    const panel = document.getElementById('langara-ics-preview-panel');
+    if (panel) {
+      panel.remove();
+    }
+  }
+
+  /**
+   * Shows the collapsible parse diagnostics report below the preview panel (or the error message)
+   * @param {Object} diagnostics - Filled in by scrapeCourseData
+   * @param {boolean} open - Whether the report starts expanded
+   */
+  function showDiagnosticsPanel(diagnostics, open) {
+    const details = document.createElement('details');
+    details.className = 'langara-ics-diagnostics';
+    details.open = open;
+    
+    const rows = diagnostics.rows || [];
+    const countOf = (status) => rows.filter(row => row.status === status).length;
+    const summary = document.createElement('summary');
+    summary.textContent = diagnostics.rows
+      ? `Parse diagnostics: ${countOf('parsed')} parsed, ${countOf('skipped')} skipped, ${countOf('invalid')} invalid row(s)`
+      : 'Parse diagnostics';
+    details.appendChild(summary);
+    
+    const addLine = (label, text) => {
+      const line = document.createElement('div');
+      const strong = document.createElement('strong');
+      strong.textContent = `${label}: `;
+      line.appendChild(strong);
+      line.appendChild(document.createTextNode(text));
+      details.appendChild(line);
+    };
+    addLine('Table', diagnostics.strategy
+      ? `${diagnostics.detail} (strategy: ${diagnostics.strategy})`
+      : `none found among ${diagnostics.tablesOnPage || 0} table(s) on the page`);
+    if (diagnostics.error) {
+      addLine('Error', diagnostics.error);
+    }
+    
+    const createTable = (headings, bodyRows) => {
+      const table = document.createElement('table');
+      table.className = 'langara-ics-diagnostics-table';
+      const headerRow = document.createElement('tr');
+      for (const heading of headings) {
+        const th = document.createElement('th');
+        th.textContent = heading;
+        headerRow.appendChild(th);
       }
-      
-      const courses = scrapeCourseData();
-      const icsContent = generateICS(courses);
-      
-      // Generate filename with current date
-      const dateStr = new Date().toISOString().split('T')[0];
-      const filename = `langara-schedule-${dateStr}.ics`;
-      
-      downloadICS(icsContent, filename);
-      
-      // Show success message
-      showMessage(`Successfully exported ${courses.length} course session(s) to ${filename}`, 'success');
-      
-      if (button) {
-        button.disabled = false;
-        button.textContent = 'Download Schedule (.ics)';
+      table.appendChild(headerRow);
+      for (const { cells, className } of bodyRows) {
+        const tr = document.createElement('tr');
+        if (className) tr.className = className;
+        for (const text of cells) {
+          const td = document.createElement('td');
+          td.textContent = text;
+          tr.appendChild(td);
+        }
+        table.appendChild(tr);
       }
-    } catch (error) {
-      console.error('Error generating ICS:', error);
-      showMessage(`Error: ${error.message}`, 'error');
-      
-      const button = document.getElementById('langara-ics-download-btn');
-      if (button) {
-        button.disabled = false;
-        button.textContent = 'Download Schedule (.ics)';
+      details.appendChild(table);
+    };
+    
+    // Which column each field was read from, with that column's header text
+    if (diagnostics.columns) {
+      const headerRows = diagnostics.headerRows || [];
+      createTable(['Field', 'Column', 'Header'], Object.entries(diagnostics.columns).map(([field, index]) => ({
+        cells: [
+          field,
+          index >= 0 ? String(index + 1) : 'not found',
+          index >= 0 ? Array.from(new Set(headerRows.map(headers => headers[index]).filter(Boolean))).join(' / ') : ''
+        ],
+        className: index >= 0 ? '' : 'langara-ics-diagnostics-invalid'
+      })));
+    }
+    
+    if (rows.length > 0) {
+      createTable(['Row', 'Result', 'Reason', 'Cells'], rows.map(row => ({
+        cells: [String(row.index + 1), row.status, row.reason, row.cells.join(' | ')],
+        className: `langara-ics-diagnostics-${row.status}`
+      })));
+    }
+    
+    const copyButton = document.createElement('button');
+    copyButton.className = 'langara-ics-secondary-btn';
+    copyButton.textContent = 'Copy diagnostic bundle';
+    copyButton.title = 'Copies the table structure with names, titles and IDs masked, for a bug report';
+    copyButton.addEventListener('click', async () => {
+      const bundle = {
+        ...buildDiagnosticBundle(diagnostics),
+        page: detectPageType(),
+        extensionVersion: chrome.runtime.getManifest().version,
+        userAgent: navigator.userAgent
+      };
+      const text = JSON.stringify(bundle, null, 2);
+      try {
+        await navigator.clipboard.writeText(text);
+        showMessage('Diagnostic bundle copied. Paste it into your bug report.', 'success');
+      } catch (error) {
+        // Clipboard access can be blocked; let the user copy it by hand
+        console.warn('Could not copy diagnostic bundle:', error);
+        const textarea = document.createElement('textarea');
+        textarea.className = 'langara-ics-diagnostics-bundle';
+        textarea.readOnly = true;
+        textarea.value = text;
+        details.appendChild(textarea);
+        textarea.select();
       }
+    });
+    details.appendChild(copyButton);
+    
+    const anchor = document.getElementById('langara-ics-preview-panel') ||
+      document.querySelector('.langara-ics-error-message') ||
+      document.getElementById('langara-ics-download-btn');
+    if (anchor && anchor.parentNode) {
+      anchor.parentNode.insertBefore(details, anchor.nextSibling);
+    } else {
+      const pageBody = document.querySelector('.pagebodydiv') || document.body;
+      pageBody.insertBefore(details, pageBody.firstChild);
     }
   }
 
@@ -812,57 +1117,193 @@
   }
 
   /**
-   * Injects the download button into the page
+   * Creates the download button
+   * @returns {HTMLElement} Button element (not yet in the page)
    */
-  function injectDownloadButton() {
-    // Check if button already exists
-    if (document.getElementById('langara-ics-download-btn')) {
-      return;
-    }
-    
+  function createDownloadButton() {
     const button = document.createElement('button');
     button.id = 'langara-ics-download-btn';
     button.className = 'langara-ics-download-btn';
     button.textContent = 'Download Schedule (.ics)';
-    button.addEventListener('click', generateAndDownload);
-    
-    // Try to find the "Registered Courses" header or table
-    const table = findDataTable();
-    if (table) {
-      // Insert before the table
-      table.parentNode.insertBefore(button, table);
-    } else {
-      // Fallback: insert at top of pagebodydiv
-      const pageBody = document.querySelector('.pagebodydiv') || document.body;
-      pageBody.insertBefore(button, pageBody.firstChild);
-    }
+    button.addEventListener('click', () => generateAndDownload());
+    return button;
+  }
+
+  /**
+   * Removes the preview panel, messages and diagnostics left from an earlier run
+   */
+  function clearResults() {
+    closePreviewPanel();
+    document.querySelectorAll(RESULT_SELECTOR).forEach(element => element.remove());
   }
 
   /**
-   * Shows warning banner if user is on "By Week View"
+   * Adds, moves or removes the download button and week view banner to match the page
+   * Safe to call repeatedly: nothing is touched while the schedule table stays the same
    */
-  function showViewWarning() {
+  function syncPageControls() {
+    // The "Registered Courses" header or table (or the week view grid)
+    const table = findDataTable(document) || findWeekGrids(document)[0] || null;
     const pageType = detectPageType();
+    let button = document.getElementById('langara-ics-download-btn');
     
-    if (pageType === 'week') {
-      // Check if warning already exists
-      if (document.getElementById('langara-ics-warning-banner')) {
-        return;
+    // Schedule gone (or never there): take everything down
+    if (!table && pageType === 'unknown') {
+      if (button) {
+        clearResults();
+        button.remove();
       }
-      
-      const banner = document.createElement('div');
-      banner.id = 'langara-ics-warning-banner';
-      banner.className = 'langara-ics-warning-banner';
-      banner.textContent = 'For best results, please switch to the "By Course View" tab to download your full semester schedule.';
-      
-      const button = document.getElementById('langara-ics-download-btn');
-      if (button && button.parentNode) {
-        button.parentNode.insertBefore(banner, button);
+      const banner = document.getElementById('langara-ics-warning-banner');
+      if (banner) banner.remove();
+      controlsTarget = null;
+      return;
+    }
+    
+    if (!button) {
+      button = createDownloadButton();
+    }
+    if (table !== controlsTarget || !button.isConnected) {
+      // Results shown for a table that has since been replaced are stale
+      if (controlsTarget && table !== controlsTarget) {
+        clearResults();
+      }
+      if (table) {
+        // Insert before the table
+        table.parentNode.insertBefore(button, table);
       } else {
         // Fallback: insert at top of pagebodydiv
         const pageBody = document.querySelector('.pagebodydiv') || document.body;
-        pageBody.insertBefore(banner, pageBody.firstChild);
+        pageBody.insertBefore(button, pageBody.firstChild);
       }
+      controlsTarget = table;
+    }
+    
+    syncViewWarning(pageType, button);
+  }
+
+  /**
+   * Shows a banner explaining week view exports while the user is on "By Week View",
+   * and removes it on any other view
+   * @param {string} pageType - From detectPageType
+   * @param {HTMLElement} button - The download button the banner sits above
+   */
+  function syncViewWarning(pageType, button) {
+    let banner = document.getElementById('langara-ics-warning-banner');
+    if (pageType !== 'week') {
+      if (banner) banner.remove();
+      return;
+    }
+    
+    if (!banner) {
+      banner = document.createElement('div');
+      banner.id = 'langara-ics-warning-banner';
+      banner.className = 'langara-ics-warning-banner';
+      banner.textContent = 'You are on the "By Week View" tab. Sessions are rebuilt from the weeks you have viewed in this tab, ' +
+        'so their dates only cover those weeks. Page through the term, or switch to the "By Course View" tab for full-term dates.';
+    }
+    if (banner.nextElementSibling !== button) {
+      button.parentNode.insertBefore(banner, button);
+    }
+  }
+
+  /**
+   * Checks whether a node is (or is inside) one of the extension's own elements
+   * @param {Node} node - Node from a mutation record
+   * @returns {boolean} True for the button, banner, panels and messages
+   */
+  function isOwnNode(node) {
+    const element = node.nodeType === 1 ? node : node.parentElement;
+    return Boolean(element && element.closest(EXTENSION_UI_SELECTOR));
+  }
+
+  /**
+   * Watches the page for the schedule table appearing, changing or going away
+   * (late loads, in-place tab switches, term changes) and re-syncs the controls.
+   * Changes to the extension's own elements are ignored, and bursts of mutations
+   * are coalesced into one sync.
+   */
+  function observePageChanges() {
+    let timer = null;
+    const observer = new MutationObserver(mutations => {
+      const relevant = mutations.some(mutation => !isOwnNode(mutation.target) &&
+        [...mutation.addedNodes, ...mutation.removedNodes].some(node => !isOwnNode(node)));
+      if (!relevant || timer) return;
+      timer = setTimeout(() => {
+        timer = null;
+        syncPageControls();
+      }, SYNC_DELAY_MS);
+    });
+    observer.observe(document.body, { childList: true, subtree: true });
+  }
+
+  /**
+   * Describes the schedule on this tab for the toolbar popup
+   * @returns {Promise<Object>} {ok, pageType, term, sessions, active, notExportable} or {ok: false, pageType, error}
+   */
+  async function getScheduleStatus() {
+    const pageType = detectPageType();
+    try {
+      const settings = await self.LangaraSettings.loadSettings();
+      const { courses, active, term } = await readSchedule({}, null, settings);
+      const examPeriod = getExamPeriod(active);
+      return {
+        ok: true,
+        pageType,
+        term,
+        sessions: courses.length,
+        active: active.length,
+        notExportable: active.filter(course => getSessionSchedule(course, examPeriod, settings.meetingTypes).kind === 'none').length
+      };
+    } catch (error) {
+      return { ok: false, pageType, error: error.message };
+    }
+  }
+
+  /**
+   * Exports straight from the toolbar popup, without the preview panel
+   * @param {Object} request - {termCode, format, includeDropped}
+   * @returns {Promise<Object>} {ok, message}
+   */
+  async function exportFromPopup(request) {
+    try {
+      const settings = await self.LangaraSettings.loadSettings();
+      const { courses, active, term } = await readSchedule({}, request.termCode || null, settings);
+      const sessions = request.includeDropped ? courses : active;
+      
+      const message = await exportCourses(sessions, term, settings, request.format, getExamPeriod(active));
+      if (!message) {
+        return { ok: false, message: 'The export failed; the Swing page shows why.' };
+      }
+      await saveScheduleSnapshot(term, active, sessions);
+      return { ok: true, message };
+    } catch (error) {
+      console.error('Error exporting from popup:', error);
+      return { ok: false, message: error.message };
+    }
+  }
+
+  /**
+   * Answers the toolbar popup
+   * @param {Object} request - {type} from MESSAGE_TYPES, plus that message's fields
+   * @param {Object} sender - Message sender
+   * @param {Function} sendResponse - Called with the reply
+   * @returns {boolean} True when the reply is sent asynchronously
+   */
+  function handleMessage(request, sender, sendResponse) {
+    switch (request && request.type) {
+      case MESSAGE_TYPES.STATUS:
+        getScheduleStatus().then(sendResponse);
+        return true;
+      case MESSAGE_TYPES.EXPORT:
+        exportFromPopup(request).then(sendResponse);
+        return true;
+      case MESSAGE_TYPES.PREVIEW:
+        // Opens the panel (or the error and diagnostics) above the table
+        generateAndDownload(request.termCode || null);
+        sendResponse({ ok: true });
+        return false;
+      default:
+        return false;
     }
   }
 
@@ -876,14 +1317,17 @@
       return;
     }
     
-    // Small delay to ensure DOM is ready
-    setTimeout(() => {
-      injectDownloadButton();
-      showViewWarning();
-    }, 500);
+    syncPageControls();
+    observePageChanges();
   }
 
+  // Parsing details stay out of the page console unless the user asked for them;
+  // readSchedule picks up later changes to the setting
+  self.LangaraSettings.loadSettings().then(applyDebugSetting);
+
+  // The toolbar popup works even where the button couldn't be placed
+  chrome.runtime.onMessage.addListener(handleMessage);
+
   // Start initialization
   init();
 })();
-
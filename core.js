@@ -0,0 +1,3026 @@
+// Langara Swing Schedule Exporter
+// Core: parses Banner schedule tables and generates the export files.
+// Needs nothing but the DOM it is given, so it is shared by the content script
+// (as self.LangaraCore) and the command line tool (as a CommonJS module).
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./settings.js'), require('./term-calendar.js'), require('./campus-directory.js'),
+      require('./meeting-types.js'));
+  } else {
+    root.LangaraCore = factory(root.LangaraSettings, root.LangaraTermCalendar, root.LangaraCampusDirectory,
+      root.LangaraMeetingTypes);
+  }
+})(typeof self !== 'undefined' ? self : this, function(LangaraSettings, LangaraTermCalendar, LangaraCampusDirectory,
+  LangaraMeetingTypes) {
+  'use strict';
+
+  // Month abbreviation to number mapping
+  const MONTH_MAP = {
+    'JAN': '01', 'FEB': '02', 'MAR': '03', 'APR': '04',
+    'MAY': '05', 'JUN': '06', 'JUL': '07', 'AUG': '08',
+    'SEP': '09', 'OCT': '10', 'NOV': '11', 'DEC': '12'
+  };
+
+  // Banner day character to ICS BYDAY mapping
+  const DAY_MAP = {
+    'M': 'MO',  // Monday
+    'T': 'TU',  // Tuesday
+    'W': 'WE',  // Wednesday
+    'R': 'TH',  // Thursday
+    'F': 'FR',  // Friday
+    'S': 'SA',  // Saturday
+    'U': 'SU'   // Sunday
+  };
+
+  // ICS day codes indexed by JavaScript day of week (0 = Sunday)
+  const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+  // ICS day code to day name, for messages and the printable timetable
+  const ICS_DAY_NAMES = {
+    MO: 'Monday', TU: 'Tuesday', WE: 'Wednesday', TH: 'Thursday',
+    FR: 'Friday', SA: 'Saturday', SU: 'Sunday'
+  };
+
+  // Banner term code suffix for each semester (e.g. 202430 = Fall 2024)
+  const TERM_SEASONS = {
+    'SPRING': '10',
+    'SUMMER': '20',
+    'FALL': '30'
+  };
+
+  // Length of the estimated final exam period after the last class (see getExamPeriod)
+  const EXAM_PERIOD_DAYS = 14;
+
+  // Version of the JSON export schema (see generateJSON)
+  const JSON_SCHEMA_VERSION = 1;
+
+  // Langara's local time zone. Offsets are minutes east of UTC; transitions
+  // follow the North American rules in force since 2007 (second Sunday in
+  // March / first Sunday in November, both at 02:00 local time).
+  const TIMEZONE = {
+    tzid: 'America/Vancouver',
+    standard: { name: 'PST', offset: -480, month: 11, week: 1, weekday: 0, hour: 2 },
+    daylight: { name: 'PDT', offset: -420, month: 3, week: 2, weekday: 0, hour: 2 }
+  };
+
+  // Longest physical line allowed in an ICS file, in UTF-8 octets (RFC 5545 section 3.1)
+  const ICS_LINE_OCTETS = 75;
+
+  // How often a subscribed copy of the calendar should be refreshed (RFC 7986 section 5.7)
+  const CALENDAR_REFRESH_INTERVAL = 'P1W';
+
+  // Messages between the toolbar popup, the content script and the background worker
+  const MESSAGE_TYPES = {
+    STATUS: 'langara-ics:status',
+    EXPORT: 'langara-ics:export',
+    PREVIEW: 'langara-ics:preview',
+    DOWNLOAD: 'langara-ics:download'
+  };
+
+  // Elements added to the page by the extension (button, preview panel, diagnostics)
+  const EXTENSION_UI_SELECTOR = '[id^="langara-ics-"], [class^="langara-ics-"], [class*=" langara-ics-"]';
+
+  // Header names Banner uses (or has used) for each course field, normalized
+  // (upper-case, no trailing punctuation); the first is the usual one
+  const COLUMN_SYNONYMS = {
+    crn: ['CRN'],
+    subject: ['SUBJ', 'SUBJECT'],
+    course: ['CRSE', 'COURSE', 'COURSE NUMBER', 'CRSE NO'],
+    section: ['SEC', 'SECTION'],
+    title: ['TITLE', 'COURSE TITLE'],
+    type: ['TYPE', 'SCHEDULE TYPE', 'MEETING TYPE'],
+    days: ['DAYS', 'DAY'],
+    time: ['TIME', 'TIMES'],
+    start: ['START', 'START DATE'],
+    end: ['END', 'END DATE'],
+    room: ['ROOM', 'WHERE', 'LOCATION', 'BLDG/ROOM'],
+    status: ['STATUS', 'REG STATUS', 'REGISTRATION STATUS'],
+    credits: ['CRED', 'CREDITS', 'CREDIT HOURS', 'HRS'],
+    instructor: ['INSTRUCTOR', 'INSTRUCTORS', 'INSTR']
+  };
+
+  // Fields a schedule table can't be read without
+  const REQUIRED_COLUMNS = ['subject', 'course', 'type', 'start', 'days', 'time'];
+
+  // Cell text kept as-is in diagnostic bundles: Banner formats that carry no personal data
+  const DIAGNOSTIC_KEEP_PATTERNS = [
+    /^$/,
+    /^\d{1,2}-[A-Z]{3}-\d{4}$/i,
+    /^\d{3,4}\s*-\s*\d{3,4}$/,
+    /^[-MTWRFSU]{7}$/i,
+    /^(TBA|TYPE)$/i,
+    /^\d{1,2}\.\d{2,3}$/,
+    /^\**\s*(WEB\s+)?(REGISTERED|DROPPED|WITHDRAWN|WAITLISTED)\b[\w\s()*]*$/i
+  ];
+
+  // Attributes kept when serializing a table for a diagnostic bundle
+  const DIAGNOSTIC_ATTRIBUTES = ['class', 'colspan', 'rowspan', 'scope', 'summary'];
+
+  // Week view day header prefix to Banner day character
+  const WEEK_VIEW_DAYS = {
+    'MON': 'M', 'TUE': 'T', 'WED': 'W', 'THU': 'R',
+    'FRI': 'F', 'SAT': 'S', 'SUN': 'U'
+  };
+
+  // Properties each calendar component must contain (RFC 5545 sections 3.6 and 3.4)
+  const REQUIRED_ICS_PROPERTIES = {
+    VCALENDAR: ['PRODID', 'VERSION'],
+    VEVENT: ['UID', 'DTSTAMP', 'DTSTART'],
+    VTIMEZONE: ['TZID'],
+    STANDARD: ['DTSTART', 'TZOFFSETFROM', 'TZOFFSETTO'],
+    DAYLIGHT: ['DTSTART', 'TZOFFSETFROM', 'TZOFFSETTO'],
+    VALARM: ['ACTION', 'TRIGGER']
+  };
+
+  // Receives parsing details (which table matched, invalid rows, skipped sessions,
+  // terms without bundled closure dates); silent until setDebugLogger is given a function
+  let debugLogger = null;
+
+  /**
+   * Sets where parsing details are logged
+   * @param {Function|null} logger - Called like console.log, or null to stay silent
+   */
+  function setDebugLogger(logger) {
+    debugLogger = typeof logger === 'function' ? logger : null;
+  }
+
+  /**
+   * Logs parsing details through the logger from setDebugLogger, if any
+   * @param {...*} args - Values to log, as for console.log
+   */
+  function logDebug(...args) {
+    if (debugLogger) {
+      debugLogger(...args);
+    }
+  }
+
+  /**
+   * Finds the main data table containing course information
+   * @param {Document|HTMLElement} root - Page (or part of it) to search
+   * @param {Object|null} diagnostics - Optional object that receives {table, strategy, detail, headers, tablesOnPage}
+   * @returns {HTMLElement|null}
+   */
+  function findDataTable(root, diagnostics = null) {
+    // The extension's own preview/diagnostics tables are never the schedule
+    const isPageElement = (element) => !element.closest(EXTENSION_UI_SELECTOR);
+    // Nor is a week view grid, whose day headers can look like schedule columns
+    // ("Saturday<br>Sep 21" reads as "SaturdaySep 21", which contains "DAYS")
+    const isCandidateTable = (table) => isPageElement(table) && !isWeekGrid(table);
+    
+    // Records which strategy matched, for the diagnostics report
+    const found = (table, strategy, detail, headers) => {
+      if (diagnostics) {
+        Object.assign(diagnostics, { table, strategy, detail, headers, tablesOnPage: root.querySelectorAll('table').length });
+      }
+      return table;
+    };
+    
+    // First, try to find table specifically associated with "Registered Courses"
+    // Look for headings or text that says "Registered Courses" and find nearby table
+    const registeredCoursesHeaders = Array.from(root.querySelectorAll('h2, h3, h4, .pageheader, .header, th, td'))
+      .filter(el => {
+        if (!isPageElement(el)) return false;
+        const text = el.textContent.toUpperCase();
+        return text.includes('REGISTERED') && text.includes('COURSE');
+      });
+    
+    for (const header of registeredCoursesHeaders) {
+      // Find the next table after this header
+      let element = header.nextElementSibling;
+      let depth = 0;
+      while (element && depth < 10) { // Limit search depth
+        if (element.tagName === 'TABLE' && isCandidateTable(element)) {
+          const headers = Array.from(element.querySelectorAll('th')).map(th => th.textContent.trim());
+          if (headers.length > 0 && headers.some(h => h.toUpperCase().includes('TYPE'))) {
+            logDebug('Found "Registered Courses" table via header search. Headers:', headers);
+            return found(element, 'registered-heading', 'first schedule table after a "Registered Courses" heading', headers);
+          }
+        }
+        element = element.nextElementSibling;
+        depth++;
+      }
+      
+      // Also check parent container for tables
+      let parent = header.parentElement;
+      depth = 0;
+      while (parent && depth < 5) {
+        const table = Array.from(parent.querySelectorAll('table')).find(isCandidateTable);
+        if (table) {
+          const headers = Array.from(table.querySelectorAll('th')).map(th => th.textContent.trim());
+          if (headers.length > 0 && headers.some(h => h.toUpperCase().includes('TYPE'))) {
+            logDebug('Found "Registered Courses" table in parent container. Headers:', headers);
+            return found(table, 'registered-container', 'schedule table in the container of a "Registered Courses" heading', headers);
+          }
+        }
+        parent = parent.parentElement;
+        depth++;
+      }
+    }
+    
+    // Try multiple selectors to find the table
+    const selectors = [
+      '.datadisplaytable',
+      'table.datadisplaytable',
+      'table[summary*="course"]',
+      'table[summary*="schedule"]',
+      'table[summary*="Registered"]'
+    ];
+
+    for (const selector of selectors) {
+      const tables = Array.from(root.querySelectorAll(selector)).filter(isCandidateTable);
+      for (const table of tables) {
+        // Verify it has the expected structure (headers with Start/End or Type)
+        const headers = Array.from(table.querySelectorAll('th')).map(th => th.textContent.trim());
+        if (headers.length > 0) {
+          // Check for key columns that indicate this is the course schedule table
+          const hasKeyColumns = headers.some(h => 
+            h.toUpperCase().includes('TYPE') || 
+            h.toUpperCase().includes('START') || 
+            h.toUpperCase().includes('DAYS') ||
+            (h.toUpperCase().includes('SUBJ') && h.toUpperCase().includes('CRSE'))
+          );
+          if (hasKeyColumns) {
+            logDebug('Found table with selector:', selector, 'Headers:', headers);
+            return found(table, 'selector', `first table matching ${selector} with schedule columns`, headers);
+          }
+        }
+      }
+    }
+
+    // Fallback: find any table with expected headers
+    const allTables = Array.from(root.querySelectorAll('table')).filter(isCandidateTable);
+    for (const table of allTables) {
+      const rows = table.querySelectorAll('tr');
+      if (rows.length > 3) { // Likely a data table
+        const headers = Array.from(table.querySelectorAll('th')).map(th => th.textContent.trim());
+        // Check if this table has the expected course schedule columns
+        const headerText = headers.join(' ').toUpperCase();
+        if (headerText.includes('TYPE') && (headerText.includes('START') || headerText.includes('DAYS'))) {
+          logDebug('Found table via fallback method. Headers:', headers);
+          return found(table, 'fallback', 'first table on the page with Type and Start/Days headers', headers);
+        }
+      }
+    }
+
+    logDebug('Could not find course schedule table');
+    return found(null, null, 'no table matched any strategy', []);
+  }
+
+  /**
+   * Parses a Banner date string (e.g., "06-MAY-2024") to ISO format
+   * @param {string} dateStr - Banner date string
+   * @returns {string|null} ISO date string (YYYYMMDD) or null if invalid
+   */
+  function parseBannerDate(dateStr) {
+    if (!dateStr || typeof dateStr !== 'string') return null;
+    
+    const trimmed = dateStr.trim();
+    const parts = trimmed.split('-');
+    
+    if (parts.length !== 3) return null;
+    
+    const day = parts[0].padStart(2, '0');
+    const monthAbbr = parts[1].toUpperCase();
+    const year = parts[2];
+    
+    if (!MONTH_MAP[monthAbbr]) return null;
+    
+    const month = MONTH_MAP[monthAbbr];
+    
+    // Validate date
+    const date = new Date(`${year}-${month}-${day}`);
+    if (isNaN(date.getTime())) return null;
+    
+    return `${year}${month}${day}`;
+  }
+
+  /**
+   * Parses Banner time string (e.g., "1230-1420") to time components
+   * @param {string} timeStr - Banner time string
+   * @returns {Object|null} {start: "HH:MM", end: "HH:MM"} or null if invalid
+   */
+  function parseBannerTime(timeStr) {
+    if (!timeStr || typeof timeStr !== 'string') return null;
+    
+    const trimmed = timeStr.trim();
+    const parts = trimmed.split('-');
+    
+    if (parts.length !== 2) return null;
+    
+    const startRaw = parts[0].trim();
+    const endRaw = parts[1].trim();
+    
+    if (!/^\d{3,4}$/.test(startRaw) || !/^\d{3,4}$/.test(endRaw)) return null;
+    
+    // Format: 4 digits (HHMM) or 3 digits (HMM) - handle both
+    const formatTime = (time) => {
+      const padded = time.padStart(4, '0');
+      const hours = padded.substring(0, padded.length - 2);
+      const minutes = padded.substring(padded.length - 2);
+      return `${hours.padStart(2, '0')}:${minutes}`;
+    };
+    
+    return {
+      start: formatTime(startRaw),
+      end: formatTime(endRaw)
+    };
+  }
+
+  /**
+   * Parses Banner days string (e.g., "-T-R---") to ICS BYDAY array
+   * @param {string} daysStr - Banner days string
+   * @returns {string[]} Array of ICS day codes (e.g., ["TU", "TH"])
+   */
+  function parseBannerDays(daysStr) {
+    if (!daysStr || typeof daysStr !== 'string') return [];
+    
+    const days = [];
+    const trimmed = daysStr.trim().toUpperCase();
+    
+    // Position-based parsing: M T W R F S U
+    const positions = ['M', 'T', 'W', 'R', 'F', 'S', 'U'];
+    
+    for (let i = 0; i < positions.length; i++) {
+      if (trimmed.includes(positions[i])) {
+        const icsDay = DAY_MAP[positions[i]];
+        if (icsDay) {
+          days.push(icsDay);
+        }
+      }
+    }
+    
+    return days;
+  }
+
+  /**
+   * Formats a YYYYMMDD date in Banner format (e.g. "06-MAY-2024")
+   * @param {string} dateStr - Date in YYYYMMDD format
+   * @returns {string} Banner date string
+   */
+  function formatBannerDate(dateStr) {
+    const monthNames = Object.keys(MONTH_MAP);
+    const month = monthNames[parseInt(dateStr.substring(4, 6), 10) - 1];
+    return `${dateStr.substring(6, 8)}-${month}-${dateStr.substring(0, 4)}`;
+  }
+
+  /**
+   * Names a Banner term code
+   * @param {string} code - Term code (e.g. "202430")
+   * @returns {Object} {code: "202430", name: "Fall 2024"}; unknown seasons are named by their code
+   */
+  function describeTerm(code) {
+    const season = Object.keys(TERM_SEASONS).find(name => TERM_SEASONS[name] === code.substring(4));
+    const name = season ? `${season.charAt(0)}${season.substring(1).toLowerCase()} ${code.substring(0, 4)}` : code;
+    return { code, name };
+  }
+
+  /**
+   * Detects the term the schedule belongs to
+   * Checks the URL (term_in parameter), then the page text (e.g. "Fall 2024"),
+   * then falls back to the earliest meeting start date
+   * @param {Array<Object>} courses - Array of parsed course data
+   * @param {Object} page - {url, text} of the schedule page, when known
+   * @returns {Object} {code: "202430", name: "Fall 2024"}
+   */
+  function detectTerm(courses = [], page = {}) {
+    const urlMatch = (page.url || '').match(/term_in=(\d{6})/i);
+    if (urlMatch) {
+      return describeTerm(urlMatch[1]);
+    }
+    
+    const pageText = page.text || '';
+    const textMatch = pageText.match(/\b(Spring|Summer|Fall)\s+(20\d{2})\b/i);
+    if (textMatch) {
+      return describeTerm(`${textMatch[2]}${TERM_SEASONS[textMatch[1].toUpperCase()]}`);
+    }
+    
+    // Derive from dates: Jan-Apr = Spring, May-Aug = Summer, Sep-Dec = Fall
+    const startDates = courses.map(course => parseBannerDate(course.start)).filter(Boolean).sort();
+    if (startDates.length > 0) {
+      const year = startDates[0].substring(0, 4);
+      const month = parseInt(startDates[0].substring(4, 6), 10);
+      const season = month <= 4 ? 'SPRING' : (month <= 8 ? 'SUMMER' : 'FALL');
+      return describeTerm(`${year}${TERM_SEASONS[season]}`);
+    }
+    
+    return { code: 'unknown', name: 'Unknown Term' };
+  }
+
+  /**
+   * Normalizes header text for matching against COLUMN_SYNONYMS
+   * @param {string} text - Header cell text
+   * @returns {string} Upper-case text with collapsed whitespace and no trailing punctuation
+   */
+  function normalizeHeaderText(text) {
+    return text.replace(/\s+/g, ' ').trim().toUpperCase().replace(/[\s:.*]+$/, '');
+  }
+
+  /**
+   * Reads a table's header rows into a column grid
+   * Header cells are placed the way a browser lays them out: colspan widens a
+   * cell across columns and rowspan carries it into the rows below, so every
+   * label lines up with the data column under it. Fields are then matched
+   * through COLUMN_SYNONYMS; cells spanning several columns (group headings
+   * such as "Meeting Times") never identify a field.
+   * @param {HTMLElement} table - Table element
+   * @returns {Object} {rowCount, labels, columns, findColumn} where labels is one array of
+   *   header text per header row (aligned to data columns), columns maps each
+   *   field (crn, subject, ...) to its column index, or -1 when not found, and
+   *   findColumn(synonyms) looks up any other normalized header name
+   */
+  function readTableHeader(table) {
+    const rows = Array.from(table.querySelectorAll('tr'));
+    
+    // Header rows are the leading rows with <th> cells (Banner uses two)
+    let rowCount = 0;
+    while (rowCount < rows.length && rows[rowCount].querySelector('th')) {
+      rowCount++;
+    }
+    
+    const grid = [];
+    for (let r = 0; r < rowCount; r++) {
+      grid[r] = grid[r] || [];
+      let column = 0;
+      for (const cell of rows[r].children) {
+        if (cell.tagName !== 'TH' && cell.tagName !== 'TD') continue;
+        while (grid[r][column]) column++;
+        
+        const colspan = Math.max(1, parseInt(cell.getAttribute('colspan'), 10) || 1);
+        const rowspan = Math.min(Math.max(1, parseInt(cell.getAttribute('rowspan'), 10) || 1), rowCount - r);
+        const entry = { text: cell.textContent.replace(/\s+/g, ' ').trim(), colspan };
+        for (let dr = 0; dr < rowspan; dr++) {
+          grid[r + dr] = grid[r + dr] || [];
+          for (let dc = 0; dc < colspan; dc++) {
+            grid[r + dr][column + dc] = entry;
+          }
+        }
+        column += colspan;
+      }
+    }
+    
+    const width = Math.max(0, ...grid.map(row => row.length));
+    const labels = grid.map(row => Array.from({ length: width }, (_, c) => row[c] ? row[c].text : ''));
+    
+    // Prefer the lowest header row: it names individual columns
+    const findColumn = (synonyms) => {
+      for (let r = grid.length - 1; r >= 0; r--) {
+        for (let c = 0; c < width; c++) {
+          const entry = grid[r][c];
+          if (entry && entry.colspan === 1 && synonyms.includes(normalizeHeaderText(entry.text))) {
+            return c;
+          }
+        }
+      }
+      return -1;
+    };
+    
+    const columns = {};
+    for (const [field, synonyms] of Object.entries(COLUMN_SYNONYMS)) {
+      columns[field] = findColumn(synonyms);
+    }
+    
+    return { rowCount, labels, columns, findColumn };
+  }
+
+  /**
+   * Extracts column index by header text
+   * Handles multi-row headers (common in Banner/Ellucian tables), including colspan/rowspan
+   * @param {HTMLElement} table - Table element
+   * @param {string} headerText - Header text to find (a field name such as "subject" matches its synonyms)
+   * @returns {number} Column index or -1 if not found
+   */
+  function getColumnIndex(table, headerText) {
+    const header = readTableHeader(table);
+    const synonyms = COLUMN_SYNONYMS[headerText] || [normalizeHeaderText(headerText)];
+    return header.findColumn(synonyms);
+  }
+
+  /**
+   * Lines a row's cells up with the header grid, repeating a cell across its colspan
+   * @param {HTMLElement} row - Table row element
+   * @returns {HTMLElement[]} Cell for each column index
+   */
+  function getRowCells(row) {
+    const cells = [];
+    for (const cell of row.querySelectorAll('td')) {
+      const colspan = Math.max(1, parseInt(cell.getAttribute('colspan'), 10) || 1);
+      for (let i = 0; i < colspan; i++) {
+        cells.push(cell);
+      }
+    }
+    return cells;
+  }
+
+  /**
+   * Finds the meeting type category for a raw Banner meeting type
+   * @param {string} text - Meeting type cell text (e.g. "LEC", "Seminar")
+   * @param {Object} typeAliases - User aliases (normalized text to category), from settings; they win over the built-in ones
+   * @returns {string|null} Category key from MEETING_TYPES (e.g. 'LECTURE'), or null if unknown
+   */
+  function resolveMeetingType(text, typeAliases = {}) {
+    const key = LangaraSettings.normalizeTypeText(text);
+    if (!key) return null;
+    const category = (typeAliases && typeAliases[key]) || LangaraMeetingTypes.TYPE_ALIASES[key];
+    return category && LangaraMeetingTypes.MEETING_TYPES[category] ? category : null;
+  }
+
+  /**
+   * Looks up how a session's meeting type is exported
+   * Types outside the registry repeat weekly with the default templates and no reminders
+   * @param {string} type - Session type (a category key, or Banner's text for unknown types)
+   * @param {Object} meetingTypes - User changes to the categories' prefix, recurs and reminders, from settings.meetingTypes
+   * @returns {Object} {key, name, like, recurs, reminders, prefix}; see meeting-types.js
+   */
+  function getMeetingType(type, meetingTypes = {}) {
+    const key = String(type || '').toUpperCase();
+    const known = LangaraMeetingTypes.MEETING_TYPES[key];
+    if (known) {
+      return Object.assign({ key }, known, (meetingTypes && meetingTypes[key]) || {});
+    }
+    return {
+      key,
+      name: key.charAt(0) + key.substring(1).toLowerCase(),
+      like: null,
+      recurs: true,
+      reminders: false,
+      prefix: ''
+    };
+  }
+
+  /**
+   * Checks whether a session is a final exam (its type behaves like EXAM)
+   * @param {Object} courseData - Parsed course data
+   * @returns {boolean} True for exams
+   */
+  function isExamSession(courseData) {
+    return getMeetingType(courseData.type).like === 'EXAM';
+  }
+
+  /**
+   * Parses a table row to extract course data
+   * @param {HTMLElement} row - Table row element
+   * @param {Object} columns - Field to column index, from readTableHeader
+   * @param {Object} currentCourseInfo - Course info from previous rows (for continuation rows)
+   * @param {Object} rejection - Optional object that receives the reason when the row is invalid
+   * @param {Object} typeAliases - User meeting type aliases, from settings.typeAliases
+   * @returns {Object|null} Course data object or null if invalid
+   */
+  function parseTableRow(row, columns, currentCourseInfo = {}, rejection = {}, typeAliases = {}) {
+    if (row.querySelectorAll('td').length < 3) {
+      rejection.reason = 'fewer than 3 cells';
+      return null; // Not enough data
+    }
+    
+    const cells = getRowCells(row);
+    const getCellText = (field) => {
+      const cell = cells[columns[field]];
+      return cell ? cell.textContent.trim() : '';
+    };
+    
+    const type = getCellText('type');
+    const start = getCellText('start');
+    const end = getCellText('end');
+    const time = getCellText('time');
+    const days = getCellText('days');
+    const crn = getCellText('crn');
+    const subj = getCellText('subject');
+    const crse = getCellText('course');
+    const sec = getCellText('section');
+    const title = getCellText('title');
+    const room = getCellText('room');
+    const status = getCellText('status');
+    const credits = getCellText('credits');
+    const instructor = getCellText('instructor');
+    
+    // Banner links instructor names to their email; used for ORGANIZER
+    const instructorCell = cells[columns.instructor];
+    const emailLink = instructorCell ? instructorCell.querySelector('a[href^="mailto:"]') : null;
+    const instructorEmail = emailLink ? emailLink.getAttribute('href').replace(/^mailto:/i, '').trim() : '';
+    
+    // Use current course info if this row doesn't have course identification
+    const finalCrn = /^\d+$/.test(crn) ? crn : (currentCourseInfo.crn || '');
+    const finalSubj = subj || currentCourseInfo.subject || '';
+    const finalCrse = crse || currentCourseInfo.course || '';
+    const finalSec = sec || currentCourseInfo.section || '';
+    const finalTitle = title || currentCourseInfo.title || '';
+    const finalStatus = status || currentCourseInfo.status || '';
+    const finalCredits = credits || currentCourseInfo.credits || '';
+    
+    // Validate required fields
+    // Must have a type (Lecture, Lab, or Exam) to create an event
+    if (!type) {
+      rejection.reason = 'no meeting type (Lecture, Lab or Exam)';
+      return null;
+    }
+    
+    // Must have at least start date or time to create a valid event, except for
+    // recognised meeting types: a TBA exam or unscheduled section is still a session
+    // (getSessionSchedule decides how, or whether, it can be exported)
+    const category = resolveMeetingType(type, typeAliases);
+    if (!start && !time && !category) {
+      rejection.reason = `no start date or time, and "${type}" is not a known meeting type`;
+      return null;
+    }
+    
+    // Abbreviations and spellings become their category (e.g. "Lec" -> LECTURE)
+    const normalizedType = category || type.toUpperCase();
+    
+    // Build a course identifier - use available info or generic placeholder
+    const courseIdentifier = (finalSubj && finalCrse) ? `${finalSubj} ${finalCrse}`.trim() : 
+                            (finalSubj ? finalSubj : 'Course');
+    const sectionPart = finalSec ? ` ${finalSec}` : '';
+    const courseCode = `${courseIdentifier}${sectionPart}`.trim();
+    
+    return {
+      crn: finalCrn,
+      subject: finalSubj,
+      course: finalCrse,
+      section: finalSec,
+      title: finalTitle || courseCode,
+      type: normalizedType,
+      days: days,
+      time: time,
+      start: start,
+      end: end,
+      room: room,
+      status: finalStatus,
+      credits: finalCredits,
+      // Drop Banner's "(P)" primary-instructor marker
+      instructor: instructor.replace(/\s*\(P\)/gi, '').replace(/\s+/g, ' ').trim(),
+      instructorEmail: instructorEmail
+    };
+  }
+
+  /**
+   * Parses every session in a "By Course View" schedule table
+   * @param {HTMLElement} table - Table from findDataTable
+   * @param {Object|null} diagnostics - Optional object that receives {headerRows, columns, rows}, where
+   *   each row is {index, status: 'parsed'|'skipped'|'invalid', reason, cells}; filled in even when parsing throws
+   * @param {Object} typeAliases - User meeting type aliases, from settings.typeAliases
+   * @returns {Array<Object>} Array of parsed course data
+   */
+  function parseCourseTable(table, diagnostics = null, typeAliases = {}) {
+    const rows = table.querySelectorAll('tr');
+    const courses = [];
+    let skippedRows = 0;
+    let invalidRows = 0;
+    
+    // Column map from the header rows (Banner uses 2-row headers)
+    const header = readTableHeader(table);
+    const { columns } = header;
+    const headerRowCount = header.rowCount;
+    logDebug(`Found ${headerRowCount} header row(s):`, header.labels, 'Columns:', columns);
+    
+    const rowReports = [];
+    if (diagnostics) {
+      Object.assign(diagnostics, { headerRows: header.labels, columns, rows: rowReports });
+    }
+    const report = (index, cells, status, reason) => {
+      if (diagnostics) {
+        rowReports.push({ index, status, reason, cells: Array.from(cells).map(cell => cell.textContent.trim()) });
+      }
+    };
+    
+    const missing = REQUIRED_COLUMNS.filter(field => columns[field] < 0);
+    if (missing.length > 0) {
+      const found = Array.from(new Set(header.labels.flat().filter(Boolean))).join(', ');
+      const names = missing.map(field => `${field.charAt(0).toUpperCase()}${field.substring(1)}`);
+      throw new Error(`The schedule table is missing required column(s): ${names.join(', ')}. ` +
+        `Headers found: ${found || 'none'}.`);
+    }
+    
+    // Track current course info for rows that might not have all fields
+    let currentCourseInfo = {
+      crn: '',
+      subject: '',
+      course: '',
+      section: '',
+      title: '',
+      status: '',
+      credits: ''
+    };
+    
+    // Skip header row(s) and iterate through data rows
+    for (let i = headerRowCount; i < rows.length; i++) {
+      const row = rows[i];
+      const cells = row.querySelectorAll('td');
+      
+      // Skip rows with no cells or very few cells (likely empty/spacer rows)
+      if (cells.length < 3) {
+        skippedRows++;
+        report(i, cells, 'skipped', cells.length === 0 ? 'no data cells' : `only ${cells.length} cell(s), likely a spacer row`);
+        continue;
+      }
+      
+      // Update current course info if this row has course identification fields
+      // (Some rows might only have schedule info like Type, Days, Time, etc.)
+      const columnCells = getRowCells(row);
+      const getCellText = (field) => {
+        const cell = columnCells[columns[field]];
+        return cell ? cell.textContent.trim() : '';
+      };
+      
+      if (getCellText('subject') && getCellText('course')) {
+        // This row has course identification, update our tracking
+        currentCourseInfo = {
+          crn: getCellText('crn'),
+          subject: getCellText('subject'),
+          course: getCellText('course'),
+          section: getCellText('section'),
+          title: getCellText('title'),
+          status: getCellText('status'),
+          credits: getCellText('credits')
+        };
+      }
+      
+      const rejection = {};
+      const courseData = parseTableRow(row, columns, currentCourseInfo, rejection, typeAliases);
+      if (courseData) {
+        courses.push(courseData);
+        report(i, cells, 'parsed', `${buildCourseCode(courseData)} ${courseData.type}`);
+        // Update current course info from successfully parsed data
+        if (courseData.subject && courseData.course) {
+          currentCourseInfo = {
+            crn: courseData.crn,
+            subject: courseData.subject,
+            course: courseData.course,
+            section: courseData.section,
+            title: courseData.title,
+            status: courseData.status,
+            credits: courseData.credits
+          };
+        }
+      } else {
+        invalidRows++;
+        report(i, cells, 'invalid', rejection.reason || 'not a course row');
+        // Log first 5 invalid rows for debugging with detailed info
+        if (invalidRows <= 5) {
+          const cellTexts = Array.from(cells).map((cell, idx) => `[${idx}]="${cell.textContent.trim()}"`);
+          logDebug(`Invalid row ${invalidRows}:`, cellTexts.join(' | '));
+          logDebug(`  Cell count: ${cells.length}`);
+        }
+      }
+    }
+    
+    logDebug(`Parsed ${courses.length} courses, skipped ${skippedRows} header/empty rows, ${invalidRows} invalid rows`);
+    
+    if (courses.length === 0) {
+      // Provide more detailed error message
+      const errorMsg = `No course data found in the table. Found ${rows.length} total rows, ${headerRowCount} header rows, ${skippedRows} empty rows, ${invalidRows} invalid data rows. ` +
+        `Please ensure you are on the "By Course View" page with registered courses visible.`;
+      throw new Error(errorMsg);
+    }
+    
+    return courses;
+  }
+
+  /**
+   * Finds week view grids (tables whose column headers are days of the week)
+   * @param {Document|HTMLElement} root - Page (or part of it) to search
+   * @returns {HTMLElement[]} Week grid tables
+   */
+  function findWeekGrids(root) {
+    return Array.from(root.querySelectorAll('table'))
+      .filter(table => !table.closest(EXTENSION_UI_SELECTOR) && isWeekGrid(table));
+  }
+
+  /**
+   * Checks whether a table is a week view grid: its first header row names at least five weekdays
+   * @param {HTMLElement} table - Table to check
+   * @returns {boolean} True for week grids
+   */
+  function isWeekGrid(table) {
+    const headerRow = Array.from(table.querySelectorAll('tr')).find(row => row.querySelector('th'));
+    if (!headerRow) return false;
+    const dayHeaders = Array.from(headerRow.querySelectorAll('th'))
+      .filter(th => getWeekViewDay(th.textContent));
+    return dayHeaders.length >= 5;
+  }
+
+  /**
+   * Maps a week view column header (e.g. "Monday", "Tue Sep 10") to a Banner day character
+   * @param {string} headerText - Header text
+   * @returns {string|null} Banner day character or null if not a day header
+   */
+  function getWeekViewDay(headerText) {
+    const prefix = headerText.trim().substring(0, 3).toUpperCase();
+    return WEEK_VIEW_DAYS[prefix] || null;
+  }
+
+  /**
+   * Works out which week a week view grid shows
+   * Checks the grid caption ("Week of Sep 09, 2024"), dated day headers
+   * ("Monday Sep 09, 2024"), then the week view's start date field ("09/09/2024").
+   * Other dates on the page (login times, footers) are never used
+   * @param {HTMLElement} table - Week grid table
+   * @returns {string|null} Monday of the displayed week (YYYYMMDD) or null
+   */
+  function getWeekStartDate(table) {
+    const parseWeekOf = (text) => {
+      const match = text.match(/\b(JAN|FEB|MAR|APR|MAY|JUN|JUL|AUG|SEP|OCT|NOV|DEC)[A-Z]*\.?\s+(\d{1,2}),?\s+(\d{4})\b/i);
+      return match ? `${match[3]}${MONTH_MAP[match[1].toUpperCase()]}${match[2].padStart(2, '0')}` : null;
+    };
+    const parseNumeric = (text) => {
+      const match = text.match(/\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/);
+      return match ? `${match[3]}${match[1].padStart(2, '0')}${match[2].padStart(2, '0')}` : null;
+    };
+    
+    const caption = table.querySelector('caption');
+    const dayHeaders = Array.from(table.querySelectorAll('th'))
+      .filter(th => getWeekViewDay(th.textContent))
+      .map(th => getElementLines(th).join(' '));
+    const page = table.ownerDocument;
+    const dateInput = page ? page.querySelector('input[name*="date" i]') : null;
+    const candidates = [
+      caption ? parseWeekOf(caption.textContent) : null,
+      ...dayHeaders.map(text => parseWeekOf(text) || parseNumeric(text)),
+      dateInput ? parseNumeric(dateInput.value || '') : null
+    ];
+    
+    const found = candidates.find(date => date && parseBannerDate(formatBannerDate(date)));
+    if (!found) return null;
+    
+    // Normalize to the Monday of that week
+    const dayOfWeek = getDayOfWeek(found);
+    return addDays(found, dayOfWeek === 0 ? -6 : 1 - dayOfWeek);
+  }
+
+  /**
+   * Converts a week view time range (e.g. "12:30 pm-2:20 pm") to Banner format ("1230-1420")
+   * @param {string} text - Cell text containing the time range
+   * @returns {string} Banner time string or '' if none found
+   */
+  function parseWeekViewTime(text) {
+    const match = text.match(/(\d{1,2}):(\d{2})\s*([ap])\.?m\.?\s*-\s*(\d{1,2}):(\d{2})\s*([ap])\.?m\.?/i);
+    if (!match) return '';
+    
+    const to24 = (hours, minutes, meridiem) => {
+      let hour = parseInt(hours, 10) % 12;
+      if (meridiem.toLowerCase() === 'p') hour += 12;
+      return `${hour}${minutes}`;
+    };
+    return `${to24(match[1], match[2], match[3])}-${to24(match[4], match[5], match[6])}`;
+  }
+
+  /**
+   * Splits an element's text into the lines its <br> elements separate
+   * Walks the nodes rather than using innerText, which is unreliable for
+   * hidden/unrendered cells and missing from non-browser DOMs
+   * @param {HTMLElement} element - Element to read
+   * @returns {string[]} Non-empty lines with whitespace collapsed
+   */
+  function getElementLines(element) {
+    const lines = [''];
+    const visit = (node) => {
+      for (const child of node.childNodes) {
+        if (child.nodeType === 1 && child.tagName === 'BR') {
+          lines.push('');
+        } else if (child.nodeType === 1) {
+          visit(child);
+        } else if (child.nodeType === 3) {
+          lines[lines.length - 1] += child.textContent;
+        }
+      }
+    };
+    visit(element);
+    return lines.map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean);
+  }
+
+  /**
+   * Parses a week view grid cell describing one meeting
+   * Cells look like: "CPSC 1150-001 / Class / 30123 Lecture / 12:30 pm-2:20 pm / A 212"
+   * @param {HTMLElement} cell - Grid cell
+   * @param {Object} typeAliases - User meeting type aliases, from settings.typeAliases
+   * @returns {Object|null} {crn, subject, course, section, type, time, room} or null
+   */
+  function parseWeekViewCell(cell, typeAliases = {}) {
+    const lines = getElementLines(cell);
+    
+    const codeMatch = lines.length > 0 && lines[0].match(/^([A-Z]{2,5})\s+(\w{3,5})-(\w+)/);
+    if (!codeMatch) return null;
+    
+    const text = lines.join(' ');
+    const time = parseWeekViewTime(text);
+    if (!time) return null;
+    
+    const crnMatch = text.match(/\b(\d{5})\b/);
+    
+    // Room is whatever follows the time line; the meeting type comes before it
+    const timeLineIndex = lines.findIndex(line => parseWeekViewTime(line));
+    const room = lines.slice(timeLineIndex + 1).join(' ');
+    const type = lines.slice(1, timeLineIndex).join(' ').split(/\s+/)
+      .map(word => resolveMeetingType(word, typeAliases))
+      .find(Boolean);
+    
+    return {
+      crn: crnMatch ? crnMatch[1] : '',
+      subject: codeMatch[1],
+      course: codeMatch[2],
+      section: codeMatch[3],
+      type: type || 'LECTURE',
+      time: time,
+      room: room
+    };
+  }
+
+  /**
+   * Reads every meeting from a week view grid, resolving each cell's day
+   * from its column (accounting for rowspan/colspan)
+   * @param {HTMLElement} table - Week grid table
+   * @param {Object} typeAliases - User meeting type aliases, from settings.typeAliases
+   * @returns {Array<Object>|null} Meetings with a Banner day character and YYYYMMDD date,
+   *   or null if the grid doesn't say which week it shows
+   */
+  function parseWeekGrid(table, typeAliases = {}) {
+    const weekStart = getWeekStartDate(table);
+    if (!weekStart) return null;
+    
+    const rows = Array.from(table.querySelectorAll('tr'));
+    const occupied = [];
+    const dayColumns = {};
+    const meetings = [];
+    const dayOrder = Object.values(WEEK_VIEW_DAYS);
+    
+    rows.forEach((row, rowIndex) => {
+      occupied[rowIndex] = occupied[rowIndex] || [];
+      let column = 0;
+      
+      for (const cell of row.children) {
+        while (occupied[rowIndex][column]) column++;
+        
+        const rowSpan = parseInt(cell.getAttribute('rowspan'), 10) || 1;
+        const colSpan = parseInt(cell.getAttribute('colspan'), 10) || 1;
+        for (let r = rowIndex; r < rowIndex + rowSpan; r++) {
+          occupied[r] = occupied[r] || [];
+          for (let c = column; c < column + colSpan; c++) {
+            occupied[r][c] = true;
+          }
+        }
+        
+        if (cell.tagName === 'TH') {
+          const day = getWeekViewDay(cell.textContent);
+          if (day) dayColumns[column] = day;
+        } else if (dayColumns[column]) {
+          const meeting = parseWeekViewCell(cell, typeAliases);
+          if (meeting) {
+            meeting.day = dayColumns[column];
+            meeting.date = addDays(weekStart, dayOrder.indexOf(meeting.day));
+            meetings.push(meeting);
+          }
+        }
+        
+        column += colSpan;
+      }
+    });
+    
+    return meetings;
+  }
+
+  /**
+   * Groups week view meetings into sessions: same section, type, time and room on any day
+   * @param {Array<Object>} meetings - Meetings from parseWeekGrid
+   * @returns {Array<Object>} Sessions in parseCourseTable's shape, spanning their first to last meeting
+   */
+  function groupWeekViewMeetings(meetings) {
+    const sessions = {};
+    for (const meeting of meetings) {
+      const key = [meeting.crn, meeting.subject, meeting.course, meeting.section, meeting.type, meeting.time, meeting.room].join('|');
+      if (!sessions[key]) {
+        sessions[key] = { meeting, days: new Set(), dates: [] };
+      }
+      sessions[key].days.add(meeting.day);
+      sessions[key].dates.push(meeting.date);
+    }
+    
+    const dayOrder = Object.values(WEEK_VIEW_DAYS);
+    return Object.values(sessions).map(({ meeting, days, dates }) => {
+      dates.sort();
+      return {
+        crn: meeting.crn,
+        subject: meeting.subject,
+        course: meeting.course,
+        section: meeting.section,
+        title: `${meeting.subject} ${meeting.course} ${meeting.section}`,
+        type: meeting.type,
+        days: dayOrder.map(day => days.has(day) ? day : '-').join(''),
+        time: meeting.time,
+        start: formatBannerDate(dates[0]),
+        end: formatBannerDate(dates[dates.length - 1]),
+        room: meeting.room
+      };
+    });
+  }
+
+  /**
+   * Reads the sessions from a "By Week View" page
+   * Meetings are merged with ones seen before in the same term (other weeks
+   * viewed in the same browser tab), so paging through the term's weeks widens
+   * each session's start/end dates. Saved meetings are kept per term, so weeks
+   * of another term viewed earlier never mix into the export
+   * @param {Document|HTMLElement} root - Page (or part of it) to search
+   * @param {Object} typeAliases - User meeting type aliases, from settings.typeAliases
+   * @param {Object|null} diagnostics - Optional object that receives {table, strategy, detail}
+   * @param {Object} savedMeetings - Term code to meetings from earlier weeks, as returned in meetings
+   * @param {Object} page - {url, text} of the page, for detectTerm
+   * @returns {Object} {courses, term, meetings}: sessions in parseCourseTable's shape, the term of the
+   *   week on screen (from detectTerm), and savedMeetings with that term's meetings updated
+   * @throws {Error} If there is no week grid, no grid says which week it shows, or no meetings were found
+   */
+  function parseWeekView(root, typeAliases = {}, diagnostics = null, savedMeetings = {}, page = {}) {
+    const grids = findWeekGrids(root);
+    if (grids.length === 0) {
+      throw new Error('Could not find a week view grid on this page.');
+    }
+    const report = diagnostics || {};
+    Object.assign(report, { strategy: 'week-view', detail: `${grids.length} week view grid(s)`, table: grids[0] });
+    
+    const undated = [];
+    const onScreen = [];
+    grids.forEach((grid, i) => {
+      const gridMeetings = parseWeekGrid(grid, typeAliases);
+      if (!gridMeetings) {
+        undated.push(i + 1);
+        return;
+      }
+      onScreen.push(...gridMeetings);
+    });
+    if (undated.length > 0) {
+      report.detail += `; skipped grid(s) ${undated.join(', ')}: no "Week of" caption, dated day headers or start date field`;
+    }
+    
+    const term = detectTerm(groupWeekViewMeetings(onScreen), page);
+    const meetingKey = (m) => [m.crn, m.subject, m.course, m.section, m.type, m.time, m.room, m.date].join('|');
+    const meetings = {};
+    for (const meeting of [...(savedMeetings[term.code] || []), ...onScreen]) {
+      meetings[meetingKey(meeting)] = meeting;
+    }
+    const allMeetings = Object.values(meetings);
+    const courses = groupWeekViewMeetings(allMeetings);
+    
+    logDebug(`Parsed ${courses.length} sessions from ${allMeetings.length} week view meetings`);
+    
+    if (courses.length === 0 && undated.length > 0) {
+      throw new Error('Could not tell which week the week view shows, so its meetings have no dates. Please switch to the "By Course View" tab.');
+    }
+    if (courses.length === 0) {
+      throw new Error('No meetings found in the week view. Please ensure your registered courses are visible, or switch to the "By Course View" tab.');
+    }
+    
+    return { courses, term, meetings: { ...savedMeetings, [term.code]: allMeetings } };
+  }
+
+  /**
+   * Masks cell text for a diagnostic bundle, keeping Banner formats (dates, times,
+   * days, meeting types, statuses, credits) and replacing anything else - names,
+   * titles, CRNs, rooms - with its shape (letters become X/x, digits 9)
+   * @param {string} text - Cell text
+   * @returns {string} Sanitized text
+   */
+  function sanitizeCellText(text) {
+    const trimmed = text.replace(/\s+/g, ' ').trim();
+    // Built-in meeting type names (not user aliases, which could be anything)
+    if (resolveMeetingType(trimmed) || DIAGNOSTIC_KEEP_PATTERNS.some(pattern => pattern.test(trimmed))) {
+      return trimmed;
+    }
+    return trimmed.replace(/[A-Z]/g, 'X').replace(/[a-z]/g, 'x').replace(/\d/g, '9');
+  }
+
+  /**
+   * Serializes a table's structure for a bug report, with data cells masked
+   * Header text is kept; only structural attributes survive (no ids, links or emails)
+   * @param {HTMLElement} table - Table element
+   * @returns {string} Sanitized HTML
+   */
+  function sanitizeTable(table) {
+    const serialize = (node, inHeader) => {
+      if (node.nodeType === 3) {
+        const text = node.textContent.replace(/\s+/g, ' ');
+        if (!text.trim()) return '';
+        const kept = inHeader ? text.trim() : sanitizeCellText(text);
+        return kept.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+      }
+      if (node.nodeType !== 1) return '';
+      
+      const tag = node.tagName.toLowerCase();
+      const attributes = DIAGNOSTIC_ATTRIBUTES
+        .filter(name => node.hasAttribute(name))
+        .map(name => ` ${name}="${node.getAttribute(name).replace(/"/g, '&quot;')}"`)
+        .join('');
+      const header = inHeader || tag === 'th';
+      const content = Array.from(node.childNodes).map(child => serialize(child, header)).join('');
+      const newline = ['table', 'tbody', 'thead', 'tr'].includes(tag) ? '\n' : '';
+      return `<${tag}${attributes}>${newline}${content}</${tag}>${tag === 'tr' ? '\n' : ''}`;
+    };
+    return serialize(table, false);
+  }
+
+  /**
+   * Builds a diagnostic bundle safe to paste into a bug report
+   * @param {Object} diagnostics - Filled in by findDataTable and parseCourseTable
+   * @returns {Object} Table strategy, header map, row outcomes and sanitized table structure
+   */
+  function buildDiagnosticBundle(diagnostics) {
+    return {
+      schema: 'langara-swing-diagnostics',
+      generatedAt: new Date().toISOString(),
+      strategy: diagnostics.strategy || null,
+      detail: diagnostics.strategy ? diagnostics.detail : null,
+      tablesOnPage: diagnostics.tablesOnPage,
+      headerRows: diagnostics.headerRows || [],
+      columns: diagnostics.columns || {},
+      error: diagnostics.error || null,
+      rows: (diagnostics.rows || []).map(row => ({
+        index: row.index,
+        status: row.status,
+        // Parsed rows' reasons name the course
+        reason: row.status === 'parsed' ? null : row.reason,
+        cells: row.cells.map(sanitizeCellText)
+      })),
+      table: diagnostics.table ? sanitizeTable(diagnostics.table) : null
+    };
+  }
+
+  /**
+   * Creates an ICS-formatted local date-time string (used with TZID)
+   * @param {string} dateStr - Date in YYYYMMDD format
+   * @param {string} timeStr - Time in HH:MM format
+   * @returns {string} ICS date-time string (YYYYMMDDTHHMMSS)
+   */
+  function formatICSDateTime(dateStr, timeStr) {
+    if (!dateStr || !timeStr) return '';
+    
+    const [hours, minutes] = timeStr.split(':');
+    return `${dateStr}T${hours.padStart(2, '0')}${minutes.padStart(2, '0')}00`;
+  }
+
+  /**
+   * Finds the day of month of the nth weekday in a month (e.g. 2nd Sunday in March)
+   * @param {number} year - Full year
+   * @param {number} month - Month (1-12)
+   * @param {number} week - Occurrence (1-5)
+   * @param {number} weekday - Day of week (0 = Sunday)
+   * @returns {number} Day of month
+   */
+  function nthWeekdayOfMonth(year, month, week, weekday) {
+    const firstWeekday = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+    return 1 + ((weekday - firstWeekday + 7) % 7) + (week - 1) * 7;
+  }
+
+  /**
+   * Formats a UTC offset in minutes as an ICS offset (e.g. -480 -> "-0800")
+   * @param {number} offset - Offset in minutes east of UTC
+   * @returns {string} ICS UTC offset
+   */
+  function formatUTCOffset(offset) {
+    const sign = offset < 0 ? '-' : '+';
+    const abs = Math.abs(offset);
+    const hours = String(Math.floor(abs / 60)).padStart(2, '0');
+    const minutes = String(abs % 60).padStart(2, '0');
+    return `${sign}${hours}${minutes}`;
+  }
+
+  /**
+   * Gets the UTC offset in effect at a local (wall-clock) date-time in Vancouver.
+   * Times in the repeated hour at the end of DST resolve to daylight time;
+   * times in the skipped hour at the start of DST resolve to standard time.
+   * @param {string} dateStr - Date in YYYYMMDD format
+   * @param {string} timeStr - Time in HH:MM format
+   * @returns {number} Offset in minutes east of UTC
+   */
+  function getUTCOffset(dateStr, timeStr) {
+    const { standard, daylight } = TIMEZONE;
+    const year = parseInt(dateStr.substring(0, 4), 10);
+    const month = parseInt(dateStr.substring(4, 6), 10);
+    const day = parseInt(dateStr.substring(6, 8), 10);
+    const [hours, minutes] = timeStr.split(':').map(part => parseInt(part, 10));
+    
+    // Compare as sortable numbers: MMDDHHMM
+    const local = month * 1000000 + day * 10000 + hours * 100 + minutes;
+    const dstStartDay = nthWeekdayOfMonth(year, daylight.month, daylight.week, daylight.weekday);
+    const dstEndDay = nthWeekdayOfMonth(year, standard.month, standard.week, standard.weekday);
+    // DST begins at 02:00 standard time and ends at 02:00 daylight time
+    const dstStart = daylight.month * 1000000 + dstStartDay * 10000 + (daylight.hour + 1) * 100;
+    const dstEnd = standard.month * 1000000 + dstEndDay * 10000 + standard.hour * 100;
+    
+    return (local >= dstStart && local < dstEnd) ? daylight.offset : standard.offset;
+  }
+
+  /**
+   * Converts a Vancouver local date-time to UTC (DST-aware)
+   * Used for RRULE UNTIL and any other UTC timestamps
+   * @param {string} dateStr - Date in YYYYMMDD format
+   * @param {string} timeStr - Time in HH:MM format
+   * @returns {string} UTC date-time string (YYYYMMDDTHHMMSSZ)
+   */
+  function formatICSDateTimeUTC(dateStr, timeStr) {
+    if (!dateStr || !timeStr) return '';
+    
+    const [hours, minutes] = timeStr.split(':');
+    const hour = parseInt(hours, 10);
+    const minute = parseInt(minutes, 10);
+    
+    // Parse date
+    const year = parseInt(dateStr.substring(0, 4), 10);
+    const month = parseInt(dateStr.substring(4, 6), 10) - 1; // JS months are 0-indexed
+    const day = parseInt(dateStr.substring(6, 8), 10);
+    
+    // Treat the wall-clock time as UTC, then subtract the local offset
+    const offset = getUTCOffset(dateStr, timeStr);
+    const utcDate = new Date(Date.UTC(year, month, day, hour, minute, 0) - offset * 60000);
+    
+    return formatUTCDate(utcDate);
+  }
+
+  /**
+   * Formats a Date as an ICS UTC date-time
+   * @param {Date} date - Date to format
+   * @returns {string} UTC date-time string (YYYYMMDDTHHMMSSZ)
+   */
+  function formatUTCDate(date) {
+    const utcYear = date.getUTCFullYear();
+    const utcMonth = String(date.getUTCMonth() + 1).padStart(2, '0');
+    const utcDay = String(date.getUTCDate()).padStart(2, '0');
+    const utcHours = String(date.getUTCHours()).padStart(2, '0');
+    const utcMinutes = String(date.getUTCMinutes()).padStart(2, '0');
+    const utcSeconds = String(date.getUTCSeconds()).padStart(2, '0');
+    
+    return `${utcYear}${utcMonth}${utcDay}T${utcHours}${utcMinutes}${utcSeconds}Z`;
+  }
+
+  /**
+   * Builds a VTIMEZONE component defining the TZID used by every event
+   * @returns {string} ICS VTIMEZONE block
+   */
+  function createVTimezone() {
+    const { tzid, standard, daylight } = TIMEZONE;
+    
+    // Rules are anchored in 1970, as is conventional for generated VTIMEZONEs
+    const observance = (kind, rule, fromOffset) => {
+      const day = nthWeekdayOfMonth(1970, rule.month, rule.week, rule.weekday);
+      const dtStart = `1970${String(rule.month).padStart(2, '0')}${String(day).padStart(2, '0')}` +
+        `T${String(rule.hour).padStart(2, '0')}0000`;
+      let block = `BEGIN:${kind}\r\n`;
+      block += `TZOFFSETFROM:${formatUTCOffset(fromOffset)}\r\n`;
+      block += `TZOFFSETTO:${formatUTCOffset(rule.offset)}\r\n`;
+      block += `TZNAME:${rule.name}\r\n`;
+      block += `DTSTART:${dtStart}\r\n`;
+      block += `RRULE:FREQ=YEARLY;BYMONTH=${rule.month};BYDAY=${rule.week}${ICS_WEEKDAYS[rule.weekday]}\r\n`;
+      block += `END:${kind}\r\n`;
+      return block;
+    };
+    
+    let vtimezone = `BEGIN:VTIMEZONE\r\n`;
+    vtimezone += `TZID:${tzid}\r\n`;
+    vtimezone += `X-LIC-LOCATION:${tzid}\r\n`;
+    vtimezone += observance('DAYLIGHT', daylight, standard.offset);
+    vtimezone += observance('STANDARD', standard, daylight.offset);
+    vtimezone += `END:VTIMEZONE\r\n`;
+    
+    return vtimezone;
+  }
+
+  /**
+   * Escapes special characters in ICS text fields (RFC 5545 section 3.3.11)
+   * Line breaks become "\n"; other control characters are not allowed and are dropped
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  function escapeICSText(text) {
+    if (!text) return '';
+    return String(text)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r\n|\r|\n/g, '\\n')
+      .replace(/[\x00-\x08\x0B-\x1F\x7F]/g, '');
+  }
+
+  /**
+   * Quotes an ICS parameter value (e.g. an ORGANIZER's CN)
+   * Quoted values may not contain double quotes or control characters
+   * @param {string} value - Parameter value
+   * @returns {string} Quoted parameter value
+   */
+  function quoteICSParam(value) {
+    const text = String(value || '')
+      .replace(/"/g, "'")
+      .replace(/[\x00-\x08\x0A-\x1F\x7F]/g, ' ');
+    return `"${text}"`;
+  }
+
+  /**
+   * Counts the UTF-8 octets in a string
+   * @param {string} text - Text to measure
+   * @returns {number} Length in octets
+   */
+  function utf8Length(text) {
+    let octets = 0;
+    for (const char of text) {
+      const code = char.codePointAt(0);
+      octets += code < 0x80 ? 1 : (code < 0x800 ? 2 : (code < 0x10000 ? 3 : 4));
+    }
+    return octets;
+  }
+
+  /**
+   * Folds a content line so no physical line exceeds 75 octets (RFC 5545 section 3.1)
+   * Continuation lines start with a space; multi-byte characters are never split
+   * @param {string} line - Unfolded content line (without CRLF)
+   * @returns {string} Folded line, pieces joined by CRLF + space
+   */
+  function foldICSLine(line) {
+    const pieces = [];
+    let current = '';
+    let octets = 0;
+    
+    for (const char of line) {
+      const size = utf8Length(char);
+      // The leading space counts toward a continuation line's 75 octets
+      const limit = pieces.length === 0 ? ICS_LINE_OCTETS : ICS_LINE_OCTETS - 1;
+      if (octets + size > limit) {
+        pieces.push(current);
+        current = '';
+        octets = 0;
+      }
+      current += char;
+      octets += size;
+    }
+    pieces.push(current);
+    
+    return pieces.join('\r\n ');
+  }
+
+  /**
+   * Folds every line of a generated calendar
+   * @param {string} ics - ICS content with CRLF line endings
+   * @returns {string} Folded ICS content
+   */
+  function foldICSContent(ics) {
+    return ics.split('\r\n').map(foldICSLine).join('\r\n');
+  }
+
+  /**
+   * Checks an RRULE value (RFC 5545 section 3.3.10)
+   * @param {string} value - RRULE value, e.g. "FREQ=WEEKLY;BYDAY=TU,TH;UNTIL=20241203T075900Z"
+   * @param {string} dtStart - The event's DTSTART value
+   * @param {boolean} startIsLocal - True if DTSTART has a TZID or floating time
+   * @returns {string[]} Problems found
+   */
+  function validateRRule(value, dtStart, startIsLocal) {
+    const problems = [];
+    const parts = {};
+    const weekday = '(MO|TU|WE|TH|FR|SA|SU)';
+    const listOf = (pattern) => new RegExp(`^${pattern}(,${pattern})*$`);
+    const checks = {
+      FREQ: /^(SECONDLY|MINUTELY|HOURLY|DAILY|WEEKLY|MONTHLY|YEARLY)$/,
+      UNTIL: /^\d{8}(T\d{6}Z?)?$/,
+      COUNT: /^[1-9]\d*$/,
+      INTERVAL: /^[1-9]\d*$/,
+      BYSECOND: listOf('([0-9]|[1-5][0-9]|60)'),
+      BYMINUTE: listOf('([0-9]|[1-5][0-9])'),
+      BYHOUR: listOf('([0-9]|1[0-9]|2[0-3])'),
+      BYDAY: listOf(`([+-]?([1-9]|[1-4][0-9]|5[0-3]))?${weekday}`),
+      BYMONTHDAY: listOf('[+-]?([1-9]|[12][0-9]|3[01])'),
+      BYYEARDAY: listOf('[+-]?([1-9][0-9]{0,2})'),
+      BYWEEKNO: listOf('[+-]?([1-9]|[1-4][0-9]|5[0-3])'),
+      BYMONTH: listOf('([1-9]|1[0-2])'),
+      BYSETPOS: listOf('[+-]?([1-9][0-9]{0,2})'),
+      WKST: new RegExp(`^${weekday}$`)
+    };
+    
+    for (const part of value.split(';')) {
+      const [name, partValue] = part.split('=');
+      if (!checks[name]) {
+        problems.push(`unknown RRULE part "${part}"`);
+      } else if (parts[name] !== undefined) {
+        problems.push(`RRULE repeats ${name}`);
+      } else if (!checks[name].test(partValue || '')) {
+        problems.push(`invalid RRULE ${name} "${partValue || ''}"`);
+      }
+      parts[name] = partValue;
+    }
+    
+    if (!parts.FREQ) {
+      problems.push('RRULE has no FREQ');
+    }
+    if (parts.UNTIL !== undefined && parts.COUNT !== undefined) {
+      problems.push('RRULE has both UNTIL and COUNT');
+    }
+    // UNTIL must match DTSTART's value type, and be UTC when DTSTART is a local time
+    if (parts.UNTIL && dtStart) {
+      const startHasTime = dtStart.includes('T');
+      if (startHasTime !== parts.UNTIL.includes('T')) {
+        problems.push('RRULE UNTIL is not the same value type as DTSTART');
+      } else if (startHasTime && startIsLocal && !parts.UNTIL.endsWith('Z')) {
+        problems.push('RRULE UNTIL must be in UTC when DTSTART has a time zone');
+      }
+    }
+    
+    return problems;
+  }
+
+  /**
+   * Checks a finished calendar for problems that make clients reject it:
+   * line length and line endings, BEGIN/END nesting, required properties,
+   * RRULE syntax, DTEND after DTSTART and time zone references
+   * @param {string} ics - ICS content
+   * @returns {string[]} Problems found (empty if the calendar is valid)
+   */
+  function validateICS(ics) {
+    const problems = [];
+    
+    if (!ics.endsWith('\r\n')) {
+      problems.push('The file does not end with a line break (CRLF)');
+    }
+    
+    // Check physical lines, then unfold them into content lines
+    const physicalLines = ics.split('\r\n');
+    if (physicalLines[physicalLines.length - 1] === '') {
+      physicalLines.pop();
+    }
+    const contentLines = [];
+    physicalLines.forEach((line, index) => {
+      if (/[\r\n]/.test(line)) {
+        problems.push(`Line ${index + 1} contains a bare line break`);
+      }
+      if (utf8Length(line) > ICS_LINE_OCTETS) {
+        problems.push(`Line ${index + 1} is longer than ${ICS_LINE_OCTETS} octets`);
+      }
+      if ((line.startsWith(' ') || line.startsWith('\t')) && contentLines.length > 0) {
+        contentLines[contentLines.length - 1].text += line.substring(1);
+      } else {
+        contentLines.push({ text: line, number: index + 1 });
+      }
+    });
+    
+    const linePattern = /^([A-Za-z0-9-]+)((?:;[A-Za-z0-9-]+=(?:"[^"]*"|[^";:,]*)(?:,(?:"[^"]*"|[^";:,]*))*)*):(.*)$/;
+    const stack = [];
+    const timezonesDefined = new Set();
+    const timezonesUsed = new Set();
+    let sawCalendar = false;
+    
+    // Names a component in problem messages, e.g. VEVENT "CPSC 1150 001 LAB"
+    const describe = (component) => {
+      const label = (component.properties.SUMMARY || component.properties.UID || component.properties.TZID || [])[0];
+      return label ? `${component.name} "${label.value}"` : component.name;
+    };
+    
+    const checkComponent = (component) => {
+      const properties = component.properties;
+      for (const name of REQUIRED_ICS_PROPERTIES[component.name] || []) {
+        if (!properties[name]) {
+          problems.push(`${describe(component)}: missing ${name}`);
+        }
+      }
+      
+      if (component.name === 'VALARM' && properties.ACTION && properties.ACTION[0].value === 'DISPLAY' && !properties.DESCRIPTION) {
+        problems.push(`${describe(component)}: DISPLAY alarm without a DESCRIPTION`);
+      }
+      if (component.name === 'VTIMEZONE' && properties.TZID) {
+        timezonesDefined.add(properties.TZID[0].value);
+      }
+      if (component.name !== 'VEVENT') return;
+      
+      const start = properties.DTSTART && properties.DTSTART[0];
+      const end = properties.DTEND && properties.DTEND[0];
+      const dateValue = /^\d{8}(T\d{6}Z?)?$/;
+      if (start && !dateValue.test(start.value)) {
+        problems.push(`${describe(component)}: invalid DTSTART "${start.value}"`);
+      }
+      if (end && !dateValue.test(end.value)) {
+        problems.push(`${describe(component)}: invalid DTEND "${end.value}"`);
+      }
+      if (end && properties.DURATION) {
+        problems.push(`${describe(component)}: has both DTEND and DURATION`);
+      }
+      // Values in the same form and zone compare correctly as strings
+      if (start && end && start.params === end.params && start.value.length === end.value.length &&
+          dateValue.test(start.value) && end.value <= start.value) {
+        problems.push(`${describe(component)}: DTEND ${end.value} is not after DTSTART ${start.value}`);
+      }
+      for (const rrule of properties.RRULE || []) {
+        const startIsLocal = Boolean(start) && !start.value.endsWith('Z');
+        validateRRule(rrule.value, start && start.value, startIsLocal)
+          .forEach(problem => problems.push(`${describe(component)}: ${problem}`));
+      }
+    };
+    
+    for (const { text, number } of contentLines) {
+      const match = text.match(linePattern);
+      if (!match) {
+        problems.push(`Line ${number} is not a valid content line: ${text.substring(0, 40)}`);
+        continue;
+      }
+      const name = match[1].toUpperCase();
+      const params = match[2];
+      const value = match[3];
+      
+      const tzid = params.match(/;TZID=("[^"]*"|[^;:]*)/i);
+      if (tzid) {
+        timezonesUsed.add(tzid[1].replace(/"/g, ''));
+      }
+      
+      if (name === 'BEGIN') {
+        if (stack.length === 0) {
+          if (value !== 'VCALENDAR' || sawCalendar) {
+            problems.push(`Line ${number}: ${value} must be inside a single VCALENDAR`);
+          }
+          sawCalendar = true;
+        }
+        stack.push({ name: value, properties: {} });
+      } else if (name === 'END') {
+        const component = stack.pop();
+        if (!component) {
+          problems.push(`Line ${number}: END:${value} has no matching BEGIN`);
+        } else if (component.name !== value) {
+          problems.push(`Line ${number}: END:${value} closes ${component.name}`);
+        } else {
+          checkComponent(component);
+        }
+      } else if (stack.length === 0) {
+        problems.push(`Line ${number}: ${name} is outside any component`);
+      } else {
+        const properties = stack[stack.length - 1].properties;
+        (properties[name] = properties[name] || []).push({ params, value });
+      }
+    }
+    
+    stack.reverse().forEach(component => problems.push(`BEGIN:${component.name} is never closed`));
+    if (!sawCalendar) {
+      problems.push('The file has no VCALENDAR');
+    }
+    for (const tzid of timezonesUsed) {
+      if (!timezonesDefined.has(tzid)) {
+        problems.push(`TZID "${tzid}" is used but has no VTIMEZONE`);
+      }
+    }
+    
+    return problems;
+  }
+
+  /**
+   * Gets the day of week for a date
+   * @param {string} dateStr - Date in YYYYMMDD format
+   * @returns {number} Day of week (0 = Sunday)
+   */
+  function getDayOfWeek(dateStr) {
+    const year = parseInt(dateStr.substring(0, 4), 10);
+    const month = parseInt(dateStr.substring(4, 6), 10) - 1;
+    const day = parseInt(dateStr.substring(6, 8), 10);
+    return new Date(Date.UTC(year, month, day)).getUTCDay();
+  }
+
+  /**
+   * Adds days to a YYYYMMDD date
+   * @param {string} dateStr - Date in YYYYMMDD format
+   * @param {number} days - Number of days to add (may be negative)
+   * @returns {string} Date in YYYYMMDD format
+   */
+  function addDays(dateStr, days) {
+    const year = parseInt(dateStr.substring(0, 4), 10);
+    const month = parseInt(dateStr.substring(4, 6), 10) - 1;
+    const day = parseInt(dateStr.substring(6, 8), 10);
+    const date = new Date(Date.UTC(year, month, day + days));
+    return date.toISOString().substring(0, 10).replace(/-/g, '');
+  }
+
+  /**
+   * Expands closure table entries into individual dates
+   * @param {Array<Object>} entries - [{start: "YYYY-MM-DD", end?: "YYYY-MM-DD", name}]
+   * @returns {Object} Map of YYYYMMDD date to closure name
+   */
+  function expandClosures(entries) {
+    const dates = {};
+    
+    for (const entry of entries) {
+      if (!entry || !entry.start) continue;
+      const current = new Date(`${entry.start}T00:00:00Z`);
+      const last = new Date(`${entry.end || entry.start}T00:00:00Z`);
+      if (isNaN(current.getTime()) || isNaN(last.getTime())) {
+        logDebug('Ignoring invalid closure entry:', entry);
+        continue;
+      }
+      
+      while (current <= last) {
+        const dateStr = current.toISOString().substring(0, 10).replace(/-/g, '');
+        dates[dateStr] = entry.name || 'College closed';
+        current.setUTCDate(current.getUTCDate() + 1);
+      }
+    }
+    
+    return dates;
+  }
+
+  /**
+   * Gets the closure dates for a term from the bundled table plus overrides
+   * @param {string} termCode - Banner term code (e.g. "202430")
+   * @param {Object} overrides - {add: [{start, end, name}], remove: ["YYYY-MM-DD"]}
+   * @returns {Object} Map of YYYYMMDD date to closure name
+   */
+  function getTermClosures(termCode, overrides = {}) {
+    const bundled = (LangaraTermCalendar && LangaraTermCalendar.TERM_CLOSURES) || {};
+    if (!bundled[termCode]) {
+      logDebug(`No bundled closure dates for term ${termCode}`);
+    }
+    
+    const closures = expandClosures([...(bundled[termCode] || []), ...(overrides.add || [])]);
+    for (const removed of overrides.remove || []) {
+      delete closures[removed.replace(/-/g, '')];
+    }
+    
+    return closures;
+  }
+
+  /**
+   * Finds the closure dates a recurring session would otherwise meet on
+   * @param {Object} courseData - Parsed course data
+   * @param {Object} closures - Map of YYYYMMDD date to closure name
+   * @param {Object} meetingTypes - User meeting type changes, from settings.meetingTypes
+   * @returns {string[]} Sorted YYYYMMDD dates to exclude
+   */
+  function getExcludedDates(courseData, closures, meetingTypes = {}) {
+    if (!getMeetingType(courseData.type, meetingTypes).recurs) return [];
+    
+    const startDate = parseBannerDate(courseData.start);
+    const endDate = parseBannerDate(courseData.end);
+    const icsDays = parseBannerDays(courseData.days);
+    if (!startDate || !endDate || icsDays.length === 0) return [];
+    
+    return Object.keys(closures || {})
+      .filter(date => date >= startDate && date <= endDate)
+      .filter(date => icsDays.includes(ICS_WEEKDAYS[getDayOfWeek(date)]))
+      .sort();
+  }
+
+  /**
+   * Formats a closure date for display (e.g. "Mon Oct 14 (Thanksgiving)")
+   * @param {string} dateStr - Date in YYYYMMDD format
+   * @param {string} name - Closure name
+   * @returns {string} Display text
+   */
+  function formatClosureDate(dateStr, name) {
+    const monthNames = Object.keys(MONTH_MAP);
+    const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const month = monthNames[parseInt(dateStr.substring(4, 6), 10) - 1];
+    const label = `${dayNames[getDayOfWeek(dateStr)]} ${month.charAt(0)}${month.substring(1).toLowerCase()} ${parseInt(dateStr.substring(6, 8), 10)}`;
+    return name ? `${label} (${name})` : label;
+  }
+
+  /**
+   * Assigns a deterministic UID to every session
+   * UIDs are derived from term + CRN + meeting type + meeting index (the nth
+   * meeting of that type in the section), so a meeting keeps its UID across
+   * exports, when other sections are added or dropped and when its days, time or
+   * room change; calendar apps then update it in place, and its SEQUENCE (see
+   * getMeetingFingerprint) records the change
+   * @param {Array<Object>} courses - Array of parsed course data
+   * @param {Object} term - Term from detectTerm
+   * @returns {string[]} UIDs in the same order as courses
+   */
+  function assignEventUIDs(courses, term) {
+    const meetingCounts = {};
+    
+    return courses.map(course => {
+      // Fall back to the course code when Banner did not give us a CRN
+      const crn = course.crn || [course.subject, course.course, course.section].filter(Boolean).join('-') || 'course';
+      const type = (course.type || 'session').toLowerCase();
+      const key = `${crn}-${type}`;
+      const meetingIndex = (meetingCounts[key] || 0) + 1;
+      meetingCounts[key] = meetingIndex;
+      
+      // Keep UIDs assigned before the user excluded or edited sessions
+      if (course.uid) {
+        return course.uid;
+      }
+      
+      const uid = `${term.code}-${key}-${meetingIndex}`.replace(/[^A-Za-z0-9-]/g, '');
+      return `${uid}@langara-swing-exporter`;
+    });
+  }
+
+  /**
+   * Builds a fingerprint of the meeting details that calendar apps display,
+   * used to detect changes since the last export
+   * @param {Object} courseData - Parsed course data
+   * @returns {string} Short hash of the meeting details
+   */
+  function getMeetingFingerprint(courseData) {
+    const fields = ['subject', 'course', 'section', 'title', 'type', 'days', 'time', 'start', 'end', 'room'];
+    const text = fields.map(field => courseData[field] || '').join('|');
+    
+    return hashText(text).toString(16);
+  }
+
+  /**
+   * Hashes a string (djb2)
+   * @param {string} text - Text to hash
+   * @returns {number} Unsigned 32-bit hash
+   */
+  function hashText(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+      hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Picks a course's colour: the user's override, or a palette colour chosen by
+   * a hash of the subject and course number, so every section, meeting type and
+   * export of a course gets the same colour
+   * @param {Object} courseData - Parsed course data
+   * @param {Object} settings - Settings from LangaraSettings.loadSettings
+   * @returns {string} CSS3 colour name
+   */
+  function getCourseColor(courseData, settings) {
+    const key = LangaraSettings.normalizeCourseKey(`${courseData.subject || ''} ${courseData.course || ''}`);
+    const override = settings && settings.courseColors && settings.courseColors[key];
+    if (override) {
+      return override;
+    }
+    // djb2's low bits barely change between similar codes, so mix them first (MurmurHash3 finalizer)
+    let hash = hashText(key);
+    hash = Math.imul(hash ^ (hash >>> 16), 0x85EBCA6B);
+    hash = Math.imul(hash ^ (hash >>> 13), 0xC2B2AE35);
+    hash = (hash ^ (hash >>> 16)) >>> 0;
+    const palette = LangaraSettings.COURSE_COLOR_PALETTE;
+    return palette[hash % palette.length];
+  }
+
+  /**
+   * Builds the course identifier (e.g. "CPSC 1150 001"), handling missing subject/course gracefully
+   * @param {Object} courseData - Parsed course data
+   * @returns {string} Course code
+   */
+  function buildCourseCode(courseData) {
+    const { subject, course, section, title } = courseData;
+    
+    let courseCode = '';
+    if (subject && course) {
+      courseCode = `${subject} ${course}`.trim();
+      if (section) {
+        courseCode += ` ${section}`;
+      }
+    } else if (subject) {
+      courseCode = subject;
+      if (section) {
+        courseCode += ` ${section}`;
+      }
+    } else if (course) {
+      courseCode = course;
+      if (section) {
+        courseCode += ` ${section}`;
+      }
+    } else {
+      // Fallback: use title or generic identifier
+      courseCode = title || 'Course';
+    }
+    
+    return courseCode;
+  }
+
+  /**
+   * Splits a Banner room string into building code and room number
+   * Accepts "A212", "A 212", "A-212" and room suffixes such as "T110A"
+   * @param {string} roomStr - Room cell text
+   * @returns {Object|null} {building: "A", room: "A212"} or null if it isn't a building room
+   */
+  function parseRoom(roomStr) {
+    const match = (roomStr || '').trim().match(/^([A-Z]{1,3})\s*-?\s*(\d{2,4}[A-Z]?)$/i);
+    if (!match) return null;
+    
+    const building = match[1].toUpperCase();
+    return { building, room: `${building}${match[2].toUpperCase()}` };
+  }
+
+  /**
+   * Looks up where a session meets in the campus directory
+   * Rooms in unknown buildings (or without a room number, e.g. "GYM") keep the
+   * campus address but have no geo, since there is no building to point at;
+   * empty, "TBA" and online rooms have no place
+   * @param {Object} courseData - Parsed course data
+   * @returns {Object|null} {building, buildingName, room, address, geo: {lat, lon} or null} or null
+   */
+  function getMeetingPlace(courseData) {
+    const roomText = (courseData.room || '').trim();
+    if (!roomText || /^TBA$/i.test(roomText) || isOnlineSession(courseData)) return null;
+    
+    const { CAMPUS, BUILDINGS } = LangaraCampusDirectory || { CAMPUS: null, BUILDINGS: {} };
+    if (!CAMPUS) return null;
+    
+    const parsed = parseRoom(roomText);
+    const building = parsed && BUILDINGS[parsed.building];
+    return {
+      building: building ? parsed.building : '',
+      buildingName: building ? building.name : '',
+      room: parsed ? parsed.room : roomText,
+      address: CAMPUS.address,
+      geo: (building && building.geo) || null
+    };
+  }
+
+  /**
+   * Builds the GEO and Apple structured-location properties for a session
+   * @param {Object} place - Result of getMeetingPlace
+   * @param {string} location - The event's LOCATION text (unescaped)
+   * @returns {string} ICS property lines, or '' without a place or its coordinates
+   */
+  function createLocationProperties(place, location) {
+    if (!place || !place.geo) return '';
+    
+    const lat = place.geo.lat.toFixed(6);
+    const lon = place.geo.lon.toFixed(6);
+    let lines = `GEO:${lat};${lon}\r\n`;
+    // Apple Calendar shows a map and travel time for this; X-TITLE matches LOCATION
+    lines += `X-APPLE-STRUCTURED-LOCATION;VALUE=URI;X-ADDRESS=${quoteICSParam(place.address)};` +
+      `X-APPLE-RADIUS=100;X-TITLE=${quoteICSParam(location)}:geo:${lat},${lon}\r\n`;
+    return lines;
+  }
+
+  /**
+   * Builds the placeholder values used by event text templates
+   * @param {Object} courseData - Parsed course data
+   * @returns {Object} Placeholder name to value
+   */
+  function buildTemplateValues(courseData) {
+    const meetingType = getMeetingType(courseData.type);
+    const place = getMeetingPlace(courseData);
+    return {
+      code: buildCourseCode(courseData),
+      subject: courseData.subject,
+      course: courseData.course,
+      section: courseData.section,
+      title: courseData.title || buildCourseCode(courseData),
+      type: meetingType.name,
+      TYPE: meetingType.name.toUpperCase(),
+      room: place ? place.room : courseData.room,
+      building: place ? place.building : '',
+      buildingName: place ? place.buildingName : '',
+      address: place ? place.address : '',
+      instructor: courseData.instructor,
+      crn: courseData.crn,
+      credits: courseData.credits
+    };
+  }
+
+  /**
+   * Renders one event text field from the user's templates
+   * @param {Object} courseData - Parsed course data
+   * @param {Object} settings - Settings from LangaraSettings.loadSettings
+   * @param {string} field - 'summary' | 'description' | 'location'
+   * @returns {string} Rendered text (unescaped)
+   */
+  function renderEventField(courseData, settings, field) {
+    const { getTemplate, renderTemplate } = LangaraSettings;
+    // Campus location templates don't apply to online sections
+    if (field === 'location' && isOnlineSession(courseData)) {
+      return 'Online';
+    }
+    // Categories share the templates of the type they behave like (e.g. a seminar uses LECTURE's)
+    return renderTemplate(getTemplate(settings, getMeetingType(courseData.type).like, field), buildTemplateValues(courseData));
+  }
+
+  /**
+   * Builds the event title, unless the user entered one in the preview panel
+   * @param {Object} courseData - Parsed course data
+   * @param {Object} settings - Settings from LangaraSettings.loadSettings
+   * @returns {string} Event summary
+   */
+  function buildSummary(courseData, settings) {
+    if (courseData.summary) {
+      return courseData.summary;
+    }
+    const summary = renderEventField(courseData, settings, 'summary') || buildCourseCode(courseData);
+    return `${getMeetingType(courseData.type, settings.meetingTypes).prefix}${summary}`;
+  }
+
+  /**
+   * Checks whether a Banner registration status means the student is no longer
+   * in the section (e.g. "Dropped (Web)", "Withdrawn", "Cancelled")
+   * @param {string} status - Banner status text
+   * @returns {boolean} True if the session should be skipped by default
+   */
+  function isDroppedStatus(status) {
+    return /drop|withdr|cancel/i.test(status || '');
+  }
+
+  /**
+   * Gets the reminder offsets configured for a session's meeting type
+   * @param {Object} courseData - Parsed course data
+   * @param {Object} settings - Settings from LangaraSettings.loadSettings
+   * @returns {number[]} Minutes before the event
+   */
+  function getReminders(courseData, settings) {
+    const meetingType = getMeetingType(courseData.type, settings.meetingTypes);
+    if (!meetingType.reminders || !settings.reminders) return [];
+    return settings.reminders[meetingType.like] || [];
+  }
+
+  /**
+   * Formats a reminder offset as a VALARM TRIGGER duration (e.g. 1560 -> "-P1DT2H")
+   * @param {number} minutes - Minutes before the event
+   * @returns {string} Negative ICS duration
+   */
+  function formatAlarmTrigger(minutes) {
+    const days = Math.floor(minutes / 1440);
+    const hours = Math.floor((minutes % 1440) / 60);
+    const mins = minutes % 60;
+    
+    let time = '';
+    if (hours) time += `${hours}H`;
+    if (mins) time += `${mins}M`;
+    
+    if (!days && !time) return 'PT0M';
+    return `-P${days ? `${days}D` : ''}${time ? `T${time}` : ''}`;
+  }
+
+  /**
+   * Creates VALARM components for a session's reminders
+   * @param {Object} courseData - Parsed course data
+   * @param {Object} settings - Settings from LangaraSettings.loadSettings
+   * @param {string} summary - Event summary, shown in the notification
+   * @returns {string} ICS VALARM blocks
+   */
+  function createAlarms(courseData, settings, summary) {
+    let alarms = '';
+    
+    for (const minutes of getReminders(courseData, settings)) {
+      alarms += `BEGIN:VALARM\r\n`;
+      alarms += `ACTION:DISPLAY\r\n`;
+      // DISPLAY alarms must have a DESCRIPTION
+      alarms += `DESCRIPTION:${escapeICSText(summary) || 'Reminder'}\r\n`;
+      alarms += `TRIGGER:${formatAlarmTrigger(minutes)}\r\n`;
+      alarms += `END:VALARM\r\n`;
+    }
+    
+    return alarms;
+  }
+
+  /**
+   * Checks whether a session is delivered online rather than in a campus room
+   * (Banner shows "ONLINE", "WWW" or "Distance" in the room column, or uses an online meeting type)
+   * @param {Object} courseData - Parsed course data
+   * @returns {boolean} True for online sections
+   */
+  function isOnlineSession(courseData) {
+    return courseData.type === 'ONLINE' || /\b(ONLINE|WWW|WEB|DISTANCE|REMOTE)\b/i.test(courseData.room || '');
+  }
+
+  /**
+   * Finds the final exam period for a schedule, used to place exams whose date is TBA
+   * Exam dates aren't bundled, so this estimates the two weeks after the last
+   * class ends
+   * @param {Array<Object>} courses - Array of parsed course data
+   * @returns {Object|null} {start, end} as YYYYMMDD plus estimated: true, or null
+   */
+  function getExamPeriod(courses = []) {
+    const lastClass = courses
+      .filter(course => !isExamSession(course))
+      .map(course => parseBannerDate(course.end))
+      .filter(Boolean)
+      .sort()
+      .pop();
+    if (!lastClass) return null;
+    
+    return { start: addDays(lastClass, 1), end: addDays(lastClass, EXAM_PERIOD_DAYS), estimated: true };
+  }
+
+  /**
+   * Works out how a session can be put on a calendar:
+   * - timed: a start date and a valid time
+   * - weekly-all-day: dates and meeting days but no time (e.g. time TBA)
+   * - all-day: dates but no time or days (online/asynchronous, or an exam at a TBA time),
+   *   spanning start to end
+   * - exam-placeholder: an exam with no date yet, spanning the exam period
+   * - none: nothing usable; reason says why
+   * @param {Object} courseData - Parsed course data
+   * @param {Object|null} examPeriod - Result of getExamPeriod
+   * @param {Object} meetingTypes - User meeting type changes, from settings.meetingTypes
+   * @returns {Object} {kind, startDate, endDate, timeData, label, note, reason} where label
+   *   ("time TBA", "date TBA" or "online") marks untimed events and note explains them
+   */
+  function getSessionSchedule(courseData, examPeriod = null, meetingTypes = {}) {
+    const startDate = parseBannerDate(courseData.start);
+    const endDate = parseBannerDate(courseData.end);
+    const timeData = parseBannerTime(courseData.time);
+    const meetingType = getMeetingType(courseData.type, meetingTypes);
+    const isExam = meetingType.like === 'EXAM';
+    
+    if (startDate && endDate && endDate < startDate) {
+      return { kind: 'none', reason: `ends (${courseData.end}) before it starts (${courseData.start})` };
+    }
+    
+    if (!startDate) {
+      if (isExam && examPeriod) {
+        const period = `${formatClosureDate(examPeriod.start)} - ${formatClosureDate(examPeriod.end)}`;
+        return {
+          kind: 'exam-placeholder',
+          startDate: examPeriod.start,
+          endDate: examPeriod.end,
+          label: 'date TBA',
+          note: `Exam date TBA. This placeholder covers the ${examPeriod.estimated ? 'expected ' : ''}exam period (${period}); ` +
+            'export again once the exam is scheduled.'
+        };
+      }
+      if (isExam) {
+        return { kind: 'none', reason: 'exam date is TBA and the exam period is unknown' };
+      }
+      return { kind: 'none', reason: courseData.start ? `start date "${courseData.start}" is not a date` : 'no start date' };
+    }
+    
+    // A weekly session whose dates don't include any of its days never meets
+    const icsDays = parseBannerDays(courseData.days);
+    if (meetingType.recurs && icsDays.length > 0 && endDate && listMeetingDates(startDate, endDate, icsDays).length === 0) {
+      const dayList = icsDays.map(day => ICS_DAY_NAMES[day]).join(' or ');
+      return { kind: 'none', reason: `no ${dayList} between ${courseData.start} and ${courseData.end}` };
+    }
+    
+    if (timeData) {
+      if (timeData.end <= timeData.start) {
+        return { kind: 'none', reason: `time "${courseData.time}" ends before it starts` };
+      }
+      return { kind: 'timed', startDate, endDate, timeData };
+    }
+    
+    const online = isOnlineSession(courseData);
+    const timeText = (courseData.time || '').trim();
+    if (!meetingType.recurs) {
+      return { kind: 'all-day', startDate, endDate: endDate || startDate, label: 'time TBA', note: `${meetingType.name} time TBA.` };
+    }
+    if (icsDays.length > 0 && endDate) {
+      return { kind: 'weekly-all-day', startDate, endDate, label: 'time TBA', note: `Meeting time ${timeText || 'TBA'}.` };
+    }
+    return {
+      kind: 'all-day',
+      startDate,
+      endDate: endDate || startDate,
+      label: online ? 'online' : 'time TBA',
+      note: online ? 'Online / asynchronous: no scheduled meeting time.' : `Meeting time ${timeText || 'TBA'}.`
+    };
+  }
+
+  /**
+   * Lists the dates a weekly session meets on (the recurrence engine's core)
+   * @param {string} startDate - YYYYMMDD first possible date (Banner's start date)
+   * @param {string} endDate - YYYYMMDD last possible date
+   * @param {string[]} icsDays - ICS weekday codes the session meets on (e.g. ['TU', 'TH'])
+   * @param {string[]} excludedDates - YYYYMMDD dates to skip, e.g. closures
+   * @returns {string[]} YYYYMMDD dates in order
+   */
+  function listMeetingDates(startDate, endDate, icsDays, excludedDates = []) {
+    const dates = [];
+    for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+      if (icsDays.includes(ICS_WEEKDAYS[getDayOfWeek(date)]) && !excludedDates.includes(date)) {
+        dates.push(date);
+      }
+    }
+    return dates;
+  }
+
+  /**
+   * Works out how a weekly session repeats. Banner's start date is often not a
+   * meeting day (a Tue/Thu lecture may start on a Monday), so the first
+   * occurrence is the first meeting day that isn't excluded, and DTSTART moves
+   * there; an RRULE starting anywhere else would add a phantom class.
+   * @param {Object} courseData - Parsed course data
+   * @param {Object} schedule - From getSessionSchedule
+   * @param {string[]} excludedDates - YYYYMMDD dates to skip, from getExcludedDates
+   * @param {Object} meetingTypes - User meeting type changes, from settings.meetingTypes
+   * @returns {Object|null} {firstDate, endDate, byDay, dates, exdates}, or null for
+   *   sessions that don't repeat (exams, no days, no end date, untimed spans)
+   */
+  function getRecurrence(courseData, schedule, excludedDates = [], meetingTypes = {}) {
+    const repeats = schedule.kind === 'timed' || schedule.kind === 'weekly-all-day';
+    const byDay = parseBannerDays(courseData.days);
+    if (!repeats || !getMeetingType(courseData.type, meetingTypes).recurs || byDay.length === 0 || !schedule.endDate) {
+      return null;
+    }
+    
+    const dates = listMeetingDates(schedule.startDate, schedule.endDate, byDay, excludedDates);
+    const firstDate = dates[0] || null;
+    return {
+      firstDate,
+      endDate: schedule.endDate,
+      byDay,
+      dates,
+      // Exclusions before the first occurrence are already left out by moving DTSTART
+      exdates: firstDate ? excludedDates.filter(date => date > firstDate) : []
+    };
+  }
+
+  /**
+   * Derives the UID of one meeting of an expanded recurring event
+   * @param {string} uid - The session's UID from assignEventUIDs
+   * @param {string} date - YYYYMMDD meeting date
+   * @returns {string} UID unique to that meeting (e.g. "202430-30123-lecture-1-20240905@...")
+   */
+  function getOccurrenceUID(uid, date) {
+    const at = uid.lastIndexOf('@');
+    return at === -1 ? `${uid}-${date}` : `${uid.substring(0, at)}-${date}${uid.substring(at)}`;
+  }
+
+  /**
+   * Creates the VEVENT block(s) for a course session
+   * Weekly sessions become one recurring event, or one event per meeting when
+   * settings.expandRecurrences is on (for calendar apps that handle RRULE badly)
+   * @param {Object} courseData - Parsed course data
+   * @param {Object} identity - {uid, sequence, dtstamp} for the event
+   * @param {Object} options - {excludedDates, settings, conflicts, examPeriod}: YYYYMMDD
+   *   dates to skip (recurring events only), settings from LangaraSettings.loadSettings,
+   *   descriptions of clashing sessions to flag and the exam period from getExamPeriod
+   * @returns {string} ICS VEVENT block(s), or '' if the session can't be exported
+   */
+  function createEvent(courseData, identity, options) {
+    const { excludedDates = [], settings, conflicts = [], examPeriod = null } = options;
+    const schedule = getSessionSchedule(courseData, examPeriod, settings.meetingTypes);
+    
+    if (schedule.kind === 'none') {
+      logDebug(`Not exporting ${buildCourseCode(courseData)} ${courseData.type}: ${schedule.reason}`);
+      return '';
+    }
+    const { startDate, endDate, timeData } = schedule;
+    const recurrence = getRecurrence(courseData, schedule, excludedDates, settings.meetingTypes);
+    if (recurrence && !recurrence.firstDate) {
+      logDebug(`Not exporting ${buildCourseCode(courseData)} ${courseData.type}: every meeting falls on a closure`);
+      return '';
+    }
+    
+    // Build event text from the user's templates
+    let summary = buildSummary(courseData, settings);
+    if (schedule.label) {
+      summary += ` (${schedule.label})`;
+    }
+    let description = renderEventField(courseData, settings, 'description');
+    if (schedule.note) {
+      description = `${schedule.note}\n\n${description}`;
+    }
+    if (conflicts.length > 0) {
+      description = `SCHEDULE CONFLICT: ${conflicts.join('; ')}\n\n${description}`;
+    }
+    const location = renderEventField(courseData, settings, 'location');
+    
+    // Properties shared by every VEVENT of the session
+    let details = '';
+    // Untimed events shouldn't block the whole day in free/busy
+    if (!timeData) {
+      details += `TRANSP:TRANSPARENT\r\n`;
+    }
+    details += `SUMMARY:${escapeICSText(summary)}\r\n`;
+    details += `DESCRIPTION:${escapeICSText(description)}\r\n`;
+    details += `LOCATION:${escapeICSText(location)}\r\n`;
+    details += createLocationProperties(getMeetingPlace(courseData), location);
+    details += `COLOR:${getCourseColor(courseData, settings)}\r\n`;
+    if (conflicts.length > 0) {
+      details += `CATEGORIES:Schedule conflict\r\n`;
+    }
+    if (courseData.instructor && courseData.instructorEmail) {
+      const email = courseData.instructorEmail.replace(/[\s\x00-\x1F\x7F]/g, '');
+      details += `ORGANIZER;CN=${quoteICSParam(courseData.instructor)}:mailto:${email}\r\n`;
+    }
+    // Reminders are relative to the start time, which untimed events don't have
+    if (timeData) {
+      details += createAlarms(courseData, settings, summary);
+    }
+    
+    const wrap = (uid, timing) => `BEGIN:VEVENT\r\n` +
+      `UID:${uid}\r\n` +
+      `DTSTAMP:${identity.dtstamp}\r\n` +
+      `SEQUENCE:${identity.sequence}\r\n` +
+      timing +
+      details +
+      `END:VEVENT\r\n`;
+    
+    // A single meeting on one date, timed or all-day
+    const oneDay = (date) => (timeData
+      ? `DTSTART;TZID=${TIMEZONE.tzid}:${formatICSDateTime(date, timeData.start)}\r\n` +
+        `DTEND;TZID=${TIMEZONE.tzid}:${formatICSDateTime(date, timeData.end)}\r\n`
+      : `DTSTART;VALUE=DATE:${date}\r\n` +
+        `DTEND;VALUE=DATE:${addDays(date, 1)}\r\n`);
+    
+    if (recurrence && settings.expandRecurrences) {
+      return recurrence.dates.map(date => wrap(getOccurrenceUID(identity.uid, date), oneDay(date))).join('');
+    }
+    
+    let timing;
+    if (recurrence) {
+      timing = oneDay(recurrence.firstDate);
+      if (timeData) {
+        // Format UNTIL date as UTC (DST-aware conversion from local time)
+        const untilDate = formatICSDateTimeUTC(recurrence.endDate, '23:59');
+        timing += `RRULE:FREQ=WEEKLY;BYDAY=${recurrence.byDay.join(',')};UNTIL=${untilDate}\r\n`;
+        // EXDATE values must match DTSTART's time of day
+        if (recurrence.exdates.length > 0) {
+          const exdates = recurrence.exdates.map(date => formatICSDateTime(date, timeData.start));
+          timing += `EXDATE;TZID=${TIMEZONE.tzid}:${exdates.join(',')}\r\n`;
+        }
+      } else {
+        // All-day on each meeting day; DATE values throughout, so UNTIL is a DATE too
+        timing += `RRULE:FREQ=WEEKLY;BYDAY=${recurrence.byDay.join(',')};UNTIL=${recurrence.endDate}\r\n`;
+        if (recurrence.exdates.length > 0) {
+          timing += `EXDATE;VALUE=DATE:${recurrence.exdates.join(',')}\r\n`;
+        }
+      }
+    } else if (timeData) {
+      // For exams and other one-off sessions spanning several days, DTEND falls on the end date
+      const lastDate = !getMeetingType(courseData.type, settings.meetingTypes).recurs && endDate ? endDate : startDate;
+      timing = `DTSTART;TZID=${TIMEZONE.tzid}:${formatICSDateTime(startDate, timeData.start)}\r\n` +
+        `DTEND;TZID=${TIMEZONE.tzid}:${formatICSDateTime(lastDate, timeData.end)}\r\n`;
+    } else {
+      // One all-day event from start to end (DTEND is exclusive)
+      timing = `DTSTART;VALUE=DATE:${startDate}\r\n` +
+        `DTEND;VALUE=DATE:${addDays(endDate, 1)}\r\n`;
+    }
+    
+    return wrap(identity.uid, timing);
+  }
+
+  /**
+   * Generates complete ICS file content from course events, with lines folded
+   * @param {Array<Object>} courses - Array of parsed course data
+   * @param {Object} options - {term, sequences, closures, settings, examPeriod, calendarName,
+   *   calendarDescription, calendarColor, include} (sequences maps UID to SEQUENCE; closures
+   *   maps YYYYMMDD to closure name; examPeriod defaults to getExamPeriod for these courses;
+   *   the calendar name and description default to the term's; include(course) picks the
+   *   sessions written as events, while UIDs and conflicts are still worked out across
+   *   every session)
+   * @returns {string} Complete ICS file content
+   */
+  function generateICS(courses, options = {}) {
+    const term = options.term || detectTerm(courses);
+    const sequences = options.sequences || {};
+    const closures = options.closures || {};
+    const settings = options.settings || LangaraSettings.mergeSettings();
+    const examPeriod = options.examPeriod !== undefined ? options.examPeriod : getExamPeriod(courses);
+    const uids = assignEventUIDs(courses, term);
+    const dtstamp = formatUTCDate(new Date());
+    
+    // Optionally flag clashing sessions in their descriptions
+    const conflictNotes = courses.map(() => []);
+    if (settings.flagConflicts) {
+      for (const conflict of findConflicts(courses, closures, settings.meetingTypes)) {
+        conflictNotes[conflict.first].push(describeConflict(conflict, courses, settings, conflict.first));
+        conflictNotes[conflict.second].push(describeConflict(conflict, courses, settings, conflict.second));
+      }
+    }
+    
+    let ics = `BEGIN:VCALENDAR\r\n`;
+    ics += `VERSION:2.0\r\n`;
+    ics += `PRODID:-//Langara Swing Schedule Exporter//EN\r\n`;
+    ics += `CALSCALE:GREGORIAN\r\n`;
+    // Calendar metadata (RFC 7986), with the X-WR- names older clients read
+    const calendarName = options.calendarName || `Langara ${term.name}`;
+    const calendarDescription = options.calendarDescription ||
+      `Classes and final exams for ${term.name}, exported from Langara Swing`;
+    ics += `NAME:${escapeICSText(calendarName)}\r\n`;
+    ics += `X-WR-CALNAME:${escapeICSText(calendarName)}\r\n`;
+    ics += `DESCRIPTION:${escapeICSText(calendarDescription)}\r\n`;
+    ics += `X-WR-CALDESC:${escapeICSText(calendarDescription)}\r\n`;
+    if (options.calendarColor) {
+      ics += `COLOR:${options.calendarColor}\r\n`;
+    }
+    // Schedules change during add/drop, so a subscribed copy should refresh weekly
+    ics += `REFRESH-INTERVAL;VALUE=DURATION:${CALENDAR_REFRESH_INTERVAL}\r\n`;
+    ics += `X-WR-TIMEZONE:${TIMEZONE.tzid}\r\n`;
+    ics += createVTimezone();
+    
+    // Generate events
+    courses.forEach((course, i) => {
+      if (options.include && !options.include(course)) {
+        return;
+      }
+      const event = createEvent(course, {
+        uid: uids[i],
+        sequence: sequences[uids[i]] || 0,
+        dtstamp
+      }, {
+        excludedDates: getExcludedDates(course, closures, settings.meetingTypes),
+        settings,
+        conflicts: conflictNotes[i],
+        examPeriod
+      });
+      if (event) {
+        ics += event;
+      }
+    });
+    
+    ics += `END:VCALENDAR\r\n`;
+    return foldICSContent(ics);
+  }
+
+  /**
+   * Formats a YYYYMMDD date as ISO 8601 (YYYY-MM-DD)
+   * @param {string} dateStr - Date in YYYYMMDD format
+   * @returns {string} ISO date string
+   */
+  function formatISODate(dateStr) {
+    if (!dateStr) return '';
+    return `${dateStr.substring(0, 4)}-${dateStr.substring(4, 6)}-${dateStr.substring(6, 8)}`;
+  }
+
+  /**
+   * Formats a 24-hour HH:MM time as 12-hour (e.g. "14:20" -> "2:20 PM")
+   * @param {string} timeStr - Time in HH:MM format
+   * @returns {string} 12-hour time
+   */
+  function formatTime12(timeStr) {
+    const [hours, minutes] = timeStr.split(':').map(part => parseInt(part, 10));
+    const meridiem = hours >= 12 ? 'PM' : 'AM';
+    return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${meridiem}`;
+  }
+
+  /**
+   * Lists every date a session meets on, skipping closures
+   * Exams (and sessions without days) meet once, on their start date
+   * @param {Object} courseData - Parsed course data
+   * @param {Object} closures - Map of YYYYMMDD date to closure name
+   * @param {Object} meetingTypes - User meeting type changes, from settings.meetingTypes
+   * @returns {string[]} YYYYMMDD dates in order
+   */
+  function expandOccurrences(courseData, closures = {}, meetingTypes = {}) {
+    const startDate = parseBannerDate(courseData.start);
+    if (!startDate) return [];
+    
+    const endDate = parseBannerDate(courseData.end) || startDate;
+    const icsDays = parseBannerDays(courseData.days);
+    if (!getMeetingType(courseData.type, meetingTypes).recurs || icsDays.length === 0) {
+      return [startDate];
+    }
+    
+    return listMeetingDates(startDate, endDate, icsDays, getExcludedDates(courseData, closures, meetingTypes));
+  }
+
+  /**
+   * Finds sessions that meet at the same time on the same date
+   * Each session is expanded to its real meeting dates (closures skipped), so
+   * partial-term sections only clash where their date ranges actually overlap
+   * @param {Array<Object>} courses - Array of parsed course data
+   * @param {Object} closures - Map of YYYYMMDD date to closure name
+   * @param {Object} meetingTypes - User meeting type changes, from settings.meetingTypes
+   * @returns {Array<Object>} [{first, second, dates, start, end, isExamClash}] where
+   *   first/second are indexes into courses and start/end bound the overlap (HH:MM)
+   */
+  function findConflicts(courses, closures = {}, meetingTypes = {}) {
+    const toMinutes = (timeStr) => {
+      const [hours, minutes] = timeStr.split(':').map(part => parseInt(part, 10));
+      return hours * 60 + minutes;
+    };
+    const toTime = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    
+    // Bucket every meeting by date
+    const meetingsByDate = {};
+    courses.forEach((course, index) => {
+      const timeData = parseBannerTime(course.time);
+      if (!timeData) return;
+      for (const date of expandOccurrences(course, closures, meetingTypes)) {
+        (meetingsByDate[date] = meetingsByDate[date] || []).push({
+          index,
+          start: toMinutes(timeData.start),
+          end: toMinutes(timeData.end)
+        });
+      }
+    });
+    
+    const pairs = {};
+    for (const [date, meetings] of Object.entries(meetingsByDate)) {
+      for (let i = 0; i < meetings.length; i++) {
+        for (let j = i + 1; j < meetings.length; j++) {
+          const a = meetings[i];
+          const b = meetings[j];
+          if (a.start >= b.end || b.start >= a.end) continue;
+          
+          const key = `${Math.min(a.index, b.index)}-${Math.max(a.index, b.index)}`;
+          if (!pairs[key]) {
+            pairs[key] = {
+              first: Math.min(a.index, b.index),
+              second: Math.max(a.index, b.index),
+              dates: [],
+              start: toTime(Math.max(a.start, b.start)),
+              end: toTime(Math.min(a.end, b.end))
+            };
+          }
+          pairs[key].dates.push(date);
+        }
+      }
+    }
+    
+    return Object.values(pairs).map(conflict => {
+      conflict.dates.sort();
+      conflict.isExamClash = isExamSession(courses[conflict.first]) && isExamSession(courses[conflict.second]);
+      return conflict;
+    });
+  }
+
+  /**
+   * Describes a conflict for people, from one session's point of view
+   * @param {Object} conflict - Entry from findConflicts
+   * @param {Array<Object>} courses - The array findConflicts was run on
+   * @param {Object} settings - Settings from LangaraSettings.loadSettings
+   * @param {number} fromIndex - Describe relative to this session (omit for both)
+   * @returns {string} e.g. "CPSC 1150 001 LAB overlaps MATH 1171 M01 LECTURE, 10:30 AM-11:20 AM on 10 dates (...)"
+   */
+  function describeConflict(conflict, courses, settings, fromIndex) {
+    const label = (index) => buildSummary(courses[index], settings);
+    const { dates } = conflict;
+    const when = dates.length === 1
+      ? `on ${formatClosureDate(dates[0])}`
+      : `on ${dates.length} dates (${formatClosureDate(dates[0])} - ${formatClosureDate(dates[dates.length - 1])})`;
+    const times = `${formatTime12(conflict.start)}-${formatTime12(conflict.end)}`;
+    
+    if (fromIndex !== undefined) {
+      const other = fromIndex === conflict.first ? conflict.second : conflict.first;
+      return `Overlaps ${label(other)}, ${times} ${when}`;
+    }
+    const verb = conflict.isExamClash ? 'clashes with' : 'overlaps';
+    return `${label(conflict.first)} ${verb} ${label(conflict.second)}, ${times} ${when}`;
+  }
+
+  /**
+   * Escapes a value for a CSV cell (RFC 4180)
+   * @param {*} value - Cell value
+   * @returns {string} Escaped cell
+   */
+  function escapeCSVValue(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Builds CSV file content from rows; starts with a BOM so Excel reads UTF-8
+   * @param {Array<Array>} rows - Header row followed by data rows
+   * @returns {string} CSV content
+   */
+  function buildCSV(rows) {
+    return '\uFEFF' + rows.map(row => row.map(escapeCSVValue).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Generates a spreadsheet-friendly CSV with one row per session
+   * @param {Array<Object>} courses - Array of parsed course data
+   * @returns {string} CSV content
+   */
+  function generateCSV(courses) {
+    const rows = [[
+      'CRN', 'Subject', 'Course', 'Section', 'Title', 'Type', 'Days',
+      'Start Time', 'End Time', 'Start Date', 'End Date', 'Room', 'Instructor', 'Credits', 'Status'
+    ]];
+    
+    for (const course of courses) {
+      const timeData = parseBannerTime(course.time);
+      rows.push([
+        course.crn,
+        course.subject,
+        course.course,
+        course.section,
+        course.title,
+        course.type,
+        parseBannerDays(course.days).join(' '),
+        timeData ? timeData.start : course.time,
+        timeData ? timeData.end : '',
+        formatISODate(parseBannerDate(course.start)) || course.start,
+        formatISODate(parseBannerDate(course.end)) || course.end,
+        course.room,
+        course.instructor,
+        course.credits,
+        course.status
+      ]);
+    }
+    
+    return buildCSV(rows);
+  }
+
+  /**
+   * Generates a Google Calendar import CSV
+   * Google's CSV import has no recurrence, so every class meeting is its own row
+   * @param {Array<Object>} courses - Array of parsed course data
+   * @param {Object} context - {term, closures, settings, examPeriod}
+   * @returns {string} CSV content
+   */
+  function generateGoogleCSV(courses, context) {
+    const { closures, settings } = context;
+    const examPeriod = context.examPeriod !== undefined ? context.examPeriod : getExamPeriod(courses);
+    const rows = [[
+      'Subject', 'Start Date', 'Start Time', 'End Date', 'End Time',
+      'All Day Event', 'Description', 'Location', 'Private'
+    ]];
+    const formatUSDate = (dateStr) => `${dateStr.substring(4, 6)}/${dateStr.substring(6, 8)}/${dateStr.substring(0, 4)}`;
+    
+    for (const course of courses) {
+      const schedule = getSessionSchedule(course, examPeriod, settings.meetingTypes);
+      if (schedule.kind === 'none') continue;
+      
+      const { timeData } = schedule;
+      const summary = buildSummary(course, settings) + (schedule.label ? ` (${schedule.label})` : '');
+      const description = [schedule.note, renderEventField(course, settings, 'description')].filter(Boolean).join('\n\n');
+      const location = renderEventField(course, settings, 'location');
+      
+      // Untimed sessions spanning several days are one all-day row (End Date is inclusive)
+      const spans = schedule.kind === 'all-day' || schedule.kind === 'exam-placeholder';
+      const dates = spans ? [schedule.startDate] : expandOccurrences(course, closures, settings.meetingTypes);
+      for (const date of dates) {
+        rows.push([
+          summary,
+          formatUSDate(date),
+          timeData ? formatTime12(timeData.start) : '',
+          formatUSDate(spans ? schedule.endDate : date),
+          timeData ? formatTime12(timeData.end) : '',
+          timeData ? 'False' : 'True',
+          description,
+          location,
+          'True'
+        ]);
+      }
+    }
+    
+    return buildCSV(rows);
+  }
+
+  /**
+   * Generates JSON following the versioned export schema
+   * Bump JSON_SCHEMA_VERSION when a field is renamed or removed
+   * @param {Array<Object>} courses - Array of parsed course data
+   * @param {Object} context - {term, closures, settings, examPeriod}
+   * @returns {string} JSON content
+   */
+  function generateJSON(courses, context) {
+    const { term, closures, settings } = context;
+    const examPeriod = context.examPeriod !== undefined ? context.examPeriod : getExamPeriod(courses);
+    
+    const sessions = courses.map(course => {
+      const timeData = parseBannerTime(course.time);
+      const place = getMeetingPlace(course);
+      const schedule = getSessionSchedule(course, examPeriod, settings.meetingTypes);
+      return {
+        crn: course.crn || null,
+        subject: course.subject || null,
+        course: course.course || null,
+        section: course.section || null,
+        title: course.title || null,
+        type: course.type,
+        status: course.status || null,
+        credits: course.credits ? parseFloat(course.credits) : null,
+        instructor: course.instructor || null,
+        days: parseBannerDays(course.days),
+        startTime: timeData ? timeData.start : null,
+        endTime: timeData ? timeData.end : null,
+        startDate: formatISODate(parseBannerDate(course.start)) || null,
+        endDate: formatISODate(parseBannerDate(course.end)) || null,
+        schedule: schedule.kind,
+        scheduleNote: schedule.note || schedule.reason || null,
+        room: course.room || null,
+        building: place && place.buildingName ? { code: place.building, name: place.buildingName } : null,
+        geo: place ? place.geo : null,
+        summary: buildSummary(course, settings),
+        location: renderEventField(course, settings, 'location'),
+        excludedDates: getExcludedDates(course, closures, settings.meetingTypes).map(formatISODate),
+        reminderMinutes: getReminders(course, settings)
+      };
+    });
+    
+    return JSON.stringify({
+      schema: 'langara-swing-schedule',
+      version: JSON_SCHEMA_VERSION,
+      generatedAt: new Date().toISOString(),
+      timezone: TIMEZONE.tzid,
+      term: term,
+      sessions: sessions
+    }, null, 2);
+  }
+
+  /**
+   * Escapes text for HTML
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  function escapeHTML(text) {
+    return String(text || '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Generates a self-contained, printable weekly timetable page
+   * Recurring sessions are laid out on a Monday-first week grid; exams are listed below
+   * @param {Array<Object>} courses - Array of parsed course data
+   * @param {Object} context - {term, settings}
+   * @returns {string} HTML document
+   */
+  function generateTimetableHTML(courses, context) {
+    const { term, settings } = context;
+    const toMinutes = (timeStr) => {
+      const [hours, minutes] = timeStr.split(':').map(part => parseInt(part, 10));
+      return hours * 60 + minutes;
+    };
+    
+    const weekly = courses.filter(course => getMeetingType(course.type, settings.meetingTypes).recurs &&
+      parseBannerTime(course.time) && parseBannerDays(course.days).length > 0);
+    const exams = courses.filter(isExamSession);
+    
+    // Show weekends only when something meets on them
+    const weekdays = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+    const usedDays = new Set(weekly.flatMap(course => parseBannerDays(course.days)));
+    const columns = weekdays.filter(day => !['SA', 'SU'].includes(day) || usedDays.has(day));
+    
+    // Grid spans whole hours around the earliest start and latest end
+    let firstHour = 8;
+    let lastHour = 17;
+    if (weekly.length > 0) {
+      const times = weekly.map(course => parseBannerTime(course.time));
+      firstHour = Math.floor(Math.min(...times.map(t => toMinutes(t.start))) / 60);
+      lastHour = Math.ceil(Math.max(...times.map(t => toMinutes(t.end))) / 60);
+    }
+    const hourHeight = 48;
+    const gridHeight = (lastHour - firstHour) * hourHeight;
+    
+    let hourLabels = '';
+    for (let hour = firstHour; hour < lastHour; hour++) {
+      hourLabels += `<div class="hour" style="top:${(hour - firstHour) * hourHeight}px">${formatTime12(`${hour}:00`)}</div>`;
+    }
+    
+    let dayColumns = '';
+    for (const day of columns) {
+      let blocks = '';
+      for (const course of weekly.filter(c => parseBannerDays(c.days).includes(day))) {
+        const timeData = parseBannerTime(course.time);
+        const top = (toMinutes(timeData.start) - firstHour * 60) * hourHeight / 60;
+        const height = (toMinutes(timeData.end) - toMinutes(timeData.start)) * hourHeight / 60;
+        const dates = `${formatISODate(parseBannerDate(course.start))} to ${formatISODate(parseBannerDate(course.end))}`;
+        const color = getCourseColor(course, settings);
+        // Tinted with color-mix where supported, grey elsewhere
+        const colorStyle = `border-left-color:${color};background:#f3f4f6;background:color-mix(in srgb, ${color} 18%, white)`;
+        blocks += `<div class="block" style="top:${top}px;height:${height}px;${colorStyle}" title="${escapeHTML(dates)}">` +
+          `<strong>${escapeHTML(buildSummary(course, settings))}</strong>` +
+          `<span>${formatTime12(timeData.start)} - ${formatTime12(timeData.end)}</span>` +
+          `<span>${escapeHTML(course.room)}</span></div>`;
+      }
+      dayColumns += `<div class="day"><div class="day-name">${ICS_DAY_NAMES[day]}</div>` +
+        `<div class="day-body" style="height:${gridHeight}px">${blocks}</div></div>`;
+    }
+    
+    let examRows = '';
+    for (const exam of exams) {
+      const date = parseBannerDate(exam.start);
+      const timeData = parseBannerTime(exam.time);
+      examRows += `<tr><td><span class="swatch" style="background:${getCourseColor(exam, settings)}"></span>${escapeHTML(buildSummary(exam, settings))}</td>` +
+        `<td>${date ? escapeHTML(formatClosureDate(date)) : escapeHTML(exam.start || 'TBA')}</td>` +
+        `<td>${timeData ? `${formatTime12(timeData.start)} - ${formatTime12(timeData.end)}` : 'TBA'}</td>` +
+        `<td>${escapeHTML(exam.room || 'TBA')}</td></tr>`;
+    }
+    
+    const title = `${term.name} Timetable`;
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(title)}</title>
+<style>
+  body { font-family: Arial, sans-serif; font-size: 12px; color: #1f2937; margin: 24px; }
+  h1 { font-size: 18px; margin: 0 0 12px; }
+  .grid { display: flex; border: 1px solid #d1d5db; }
+  .hours { position: relative; width: 64px; margin-top: 24px; border-right: 1px solid #d1d5db; }
+  .hour { position: absolute; right: 6px; transform: translateY(-50%); color: #6b7280; font-size: 10px; }
+  .day { flex: 1; border-right: 1px solid #e5e7eb; }
+  .day:last-child { border-right: none; }
+  .day-name { height: 24px; line-height: 24px; text-align: center; font-weight: bold; background: #fff7ed; border-bottom: 1px solid #d1d5db; }
+  .day-body { position: relative; background: repeating-linear-gradient(to bottom, transparent 0, transparent ${hourHeight - 1}px, #f3f4f6 ${hourHeight - 1}px, #f3f4f6 ${hourHeight}px); }
+  .block { position: absolute; left: 2px; right: 2px; box-sizing: border-box; padding: 3px 4px; overflow: hidden; background: #ffedd5; border-left: 3px solid #f97316; border-radius: 3px; font-size: 11px; }
+  .block strong, .block span { display: block; }
+  .swatch { display: inline-block; width: 10px; height: 10px; margin-right: 6px; border-radius: 2px; vertical-align: middle; }
+  table { border-collapse: collapse; margin-top: 16px; }
+  th, td { text-align: left; padding: 4px 12px 4px 0; border-bottom: 1px solid #e5e7eb; }
+  .footer { margin-top: 16px; color: #6b7280; font-size: 10px; }
+  @media print { body { margin: 0; } .block, .swatch { -webkit-print-color-adjust: exact; print-color-adjust: exact; } }
+  @page { size: landscape; margin: 12mm; }
+</style>
+</head>
+<body>
+<h1>${escapeHTML(title)}</h1>
+<div class="grid"><div class="hours" style="height:${gridHeight}px">${hourLabels}</div>${dayColumns}</div>
+${examRows ? `<h2>Final Exams</h2>\n<table><tr><th>Exam</th><th>Date</th><th>Time</th><th>Room</th></tr>${examRows}</table>` : ''}
+<div class="footer">Generated ${escapeHTML(new Date().toLocaleDateString())} by Langara Swing Schedule Exporter</div>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Generates one calendar per course (subject, course number and section), and
+   * optionally one for every final exam
+   * Each calendar is generated from all sessions, so UIDs and conflict notes match
+   * the single-calendar export
+   * @param {Array<Object>} courses - Array of parsed course data
+   * @param {Object} options - As for generateICS; settings.separateExamCalendar moves
+   *   exams out of their course's calendar into a "Final exams" calendar
+   * @returns {Array<Object>} [{name, filename, content}] in course order, exams last
+   */
+  function generateCourseCalendars(courses, options = {}) {
+    const term = options.term || detectTerm(courses);
+    const settings = options.settings || LangaraSettings.mergeSettings();
+    const examPeriod = options.examPeriod !== undefined ? options.examPeriod : getExamPeriod(courses);
+    const separateExams = settings.separateExamCalendar;
+    // Courses whose sessions can't become events get no (empty) calendar
+    const exportable = courses.filter(course => getSessionSchedule(course, examPeriod, settings.meetingTypes).kind !== 'none');
+    
+    const groups = new Map();
+    for (const course of exportable) {
+      if (separateExams && isExamSession(course)) continue;
+      const code = buildCourseCode(course) || 'Other sessions';
+      if (!groups.has(code)) {
+        groups.set(code, { code, title: course.title, color: getCourseColor(course, settings) });
+      }
+    }
+    
+    const calendars = Array.from(groups.values()).map(({ code, title, color }) => ({
+      name: title ? `${code} - ${title}` : code,
+      description: `${code} sessions for ${term.name}, exported from Langara Swing`,
+      color,
+      filename: code,
+      include: (course) => (buildCourseCode(course) || 'Other sessions') === code &&
+        !(separateExams && isExamSession(course))
+    }));
+    if (separateExams && exportable.some(isExamSession)) {
+      calendars.push({
+        name: `Final exams - ${term.name}`,
+        description: `Final exams for ${term.name}, exported from Langara Swing`,
+        filename: 'Final exams',
+        include: isExamSession
+      });
+    }
+    
+    // Names that differ only in characters filenames can't hold get a number
+    const usedFilenames = new Set();
+    return calendars.map(({ name, description, color, filename, include }) => {
+      const base = LangaraSettings.sanitizeFilenamePart(filename) || 'calendar';
+      let unique = base;
+      for (let n = 2; usedFilenames.has(unique.toLowerCase()); n++) {
+        unique = `${base} (${n})`;
+      }
+      usedFilenames.add(unique.toLowerCase());
+      return {
+        name,
+        filename: `${unique}.ics`,
+        content: generateICS(courses, {
+          ...options,
+          term,
+          settings,
+          examPeriod,
+          calendarName: name,
+          calendarDescription: description,
+          calendarColor: color,
+          include
+        })
+      };
+    });
+  }
+
+  // CRC-32 lookup table (IEEE polynomial), as ZIP archives use
+  const CRC32_TABLE = Array.from({ length: 256 }, (value, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+  });
+
+  /**
+   * Computes the CRC-32 checksum of some bytes
+   * @param {Uint8Array} bytes - Data to check
+   * @returns {number} Unsigned 32-bit checksum
+   */
+  function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of bytes) {
+      crc = CRC32_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  /**
+   * Packs text files into a ZIP archive (stored without compression, UTF-8 names)
+   * @param {Array<Object>} files - [{name, content}] with string content
+   * @param {Date} date - Modification time recorded for every file
+   * @returns {Uint8Array} ZIP archive
+   */
+  function createZip(files, date = new Date()) {
+    const encoder = new TextEncoder();
+    // MS-DOS date and time, in local time, to two-second precision
+    const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const dosDate = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    // General purpose flag bit 11: names are UTF-8
+    const UTF8_FLAG = 0x0800;
+    
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+    
+    for (const file of files) {
+      const name = encoder.encode(file.name);
+      const data = encoder.encode(file.content);
+      const crc = crc32(data);
+      
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034B50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, UTF8_FLAG, true);
+      local.setUint16(8, 0, true);
+      local.setUint16(10, dosTime, true);
+      local.setUint16(12, dosDate, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true);
+      
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014B50, true);
+      central.setUint16(4, 20, true);
+      central.setUint16(6, 20, true);
+      central.setUint16(8, UTF8_FLAG, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, dosTime, true);
+      central.setUint16(14, dosDate, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, data.length, true);
+      central.setUint32(24, data.length, true);
+      central.setUint16(28, name.length, true);
+      central.setUint32(42, offset, true);
+      
+      localParts.push(new Uint8Array(local.buffer), name, data);
+      centralParts.push(new Uint8Array(central.buffer), name);
+      offset += 30 + name.length + data.length;
+    }
+    
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    for (const part of parts) {
+      zip.set(part, position);
+      position += part.length;
+    }
+    return zip;
+  }
+
+  /**
+   * Generates a ZIP archive of per-course calendars (see generateCourseCalendars)
+   * @param {Array<Object>} courses - Array of parsed course data
+   * @param {Object} options - As for generateCourseCalendars
+   * @returns {Uint8Array} ZIP archive
+   */
+  function generateCalendarZip(courses, options = {}) {
+    const calendars = generateCourseCalendars(courses, options);
+    return createZip(calendars.map(calendar => ({ name: calendar.filename, content: calendar.content })));
+  }
+
+  // Export formats offered in the format picker and the command line. Each generator
+  // takes the sessions from parseCourseTable plus {term, sequences, closures, settings}.
+  // Calendar formats advance SEQUENCE state and list reminders; binary ones return a Uint8Array.
+  const EXPORTERS = {
+    ics: {
+      label: 'Calendar (.ics)',
+      extension: 'ics',
+      mimeType: 'text/calendar;charset=utf-8',
+      calendar: true,
+      generate: generateICS
+    },
+    zip: {
+      label: 'One calendar per course (.zip)',
+      extension: 'zip',
+      mimeType: 'application/zip',
+      calendar: true,
+      binary: true,
+      generate: generateCalendarZip
+    },
+    csv: {
+      label: 'Spreadsheet (.csv)',
+      extension: 'csv',
+      mimeType: 'text/csv;charset=utf-8',
+      generate: generateCSV
+    },
+    gcal: {
+      label: 'Google Calendar import (.csv)',
+      extension: 'csv',
+      mimeType: 'text/csv;charset=utf-8',
+      generate: generateGoogleCSV
+    },
+    json: {
+      label: 'JSON (.json)',
+      extension: 'json',
+      mimeType: 'application/json;charset=utf-8',
+      generate: generateJSON
+    },
+    html: {
+      label: 'Printable timetable (.html)',
+      extension: 'html',
+      mimeType: 'text/html;charset=utf-8',
+      generate: generateTimetableHTML
+    }
+  };
+
+  return {
+    MONTH_MAP,
+    DAY_MAP,
+    ICS_WEEKDAYS,
+    TERM_SEASONS,
+    JSON_SCHEMA_VERSION,
+    TIMEZONE,
+    EXTENSION_UI_SELECTOR,
+    MESSAGE_TYPES,
+    WEEK_VIEW_DAYS,
+    setDebugLogger,
+    logDebug,
+    findDataTable,
+    parseBannerDate,
+    parseBannerTime,
+    parseBannerDays,
+    formatBannerDate,
+    describeTerm,
+    detectTerm,
+    readTableHeader,
+    getColumnIndex,
+    getRowCells,
+    resolveMeetingType,
+    getMeetingType,
+    isExamSession,
+    parseTableRow,
+    parseCourseTable,
+    findWeekGrids,
+    isWeekGrid,
+    getWeekViewDay,
+    getWeekStartDate,
+    parseWeekViewTime,
+    getElementLines,
+    parseWeekViewCell,
+    parseWeekGrid,
+    groupWeekViewMeetings,
+    parseWeekView,
+    sanitizeCellText,
+    sanitizeTable,
+    buildDiagnosticBundle,
+    formatICSDateTime,
+    nthWeekdayOfMonth,
+    formatUTCOffset,
+    getUTCOffset,
+    formatICSDateTimeUTC,
+    formatUTCDate,
+    createVTimezone,
+    escapeICSText,
+    quoteICSParam,
+    foldICSLine,
+    foldICSContent,
+    validateRRule,
+    validateICS,
+    getDayOfWeek,
+    addDays,
+    expandClosures,
+    getTermClosures,
+    getExcludedDates,
+    formatClosureDate,
+    assignEventUIDs,
+    getMeetingFingerprint,
+    buildCourseCode,
+    getCourseColor,
+    parseRoom,
+    getMeetingPlace,
+    buildTemplateValues,
+    renderEventField,
+    buildSummary,
+    isDroppedStatus,
+    getReminders,
+    formatAlarmTrigger,
+    createAlarms,
+    isOnlineSession,
+    getExamPeriod,
+    getSessionSchedule,
+    listMeetingDates,
+    getRecurrence,
+    getOccurrenceUID,
+    createEvent,
+    generateICS,
+    generateCourseCalendars,
+    createZip,
+    generateCalendarZip,
+    formatISODate,
+    formatTime12,
+    expandOccurrences,
+    findConflicts,
+    describeConflict,
+    escapeCSVValue,
+    buildCSV,
+    generateCSV,
+    generateGoogleCSV,
+    generateJSON,
+    escapeHTML,
+    generateTimetableHTML,
+    EXPORTERS
+  };
+});
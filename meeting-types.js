@@ -0,0 +1,61 @@
+// Langara Swing Schedule Exporter
+// Meeting types: the categories Banner meeting types are sorted into
+//
+// Each category controls how its sessions are exported:
+//   name       Shown in event text ({type}, {TYPE}) and on the options page
+//   like       Which configurable type's templates and reminders it uses
+//              ('LECTURE', 'LAB' or 'EXAM'; null for the defaults and no reminders).
+//              'EXAM' also makes it an exam: exam period placeholders, exam clashes,
+//              the timetable's exam list and the separate exams calendar
+//   recurs     Repeats weekly on its days; otherwise one event from start to end
+//   reminders  Gets the reminders of its `like` type
+//   prefix     Text put before the event summary, e.g. 'Field trip: ' for summary
+//              templates without {type}. The default templates end with {TYPE}, so
+//              the built-in categories leave it empty
+//
+// Users can change recurs, reminders and prefix per category through the
+// "meetingTypes" setting (the options page's meeting type table).
+//
+// TYPE_ALIASES maps the spellings and abbreviations Banner uses to a category.
+// Aliases are compared in upper case with spaces and punctuation removed, so
+// "Field Trip" and "FIELD-TRIP" both match FIELDTRIP. Users can add their own
+// through the "typeAliases" setting.
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LangaraMeetingTypes = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  const MEETING_TYPES = {
+    LECTURE: { name: 'Lecture', like: 'LECTURE', recurs: true, reminders: true, prefix: '' },
+    LAB: { name: 'Lab', like: 'LAB', recurs: true, reminders: true, prefix: '' },
+    EXAM: { name: 'Exam', like: 'EXAM', recurs: false, reminders: true, prefix: '' },
+    SEMINAR: { name: 'Seminar', like: 'LECTURE', recurs: true, reminders: true, prefix: '' },
+    TUTORIAL: { name: 'Tutorial', like: 'LAB', recurs: true, reminders: true, prefix: '' },
+    PRACTICUM: { name: 'Practicum', like: 'LAB', recurs: true, reminders: true, prefix: '' },
+    CLINICAL: { name: 'Clinical', like: 'LAB', recurs: true, reminders: true, prefix: '' },
+    // Usually a day or a few set days away from campus, not a weekly meeting
+    FIELDTRIP: { name: 'Field Trip', like: 'LECTURE', recurs: false, reminders: true, prefix: '' },
+    ONLINE: { name: 'Online', like: 'LECTURE', recurs: true, reminders: false, prefix: '' },
+    HYBRID: { name: 'Hybrid', like: 'LECTURE', recurs: true, reminders: true, prefix: '' }
+  };
+
+  const TYPE_ALIASES = {
+    LECTURE: 'LECTURE', LEC: 'LECTURE', LECT: 'LECTURE',
+    LAB: 'LAB', LB: 'LAB', LABORATORY: 'LAB',
+    EXAM: 'EXAM', EXM: 'EXAM', FINAL: 'EXAM', FINALEXAM: 'EXAM', EXAMINATION: 'EXAM',
+    SEMINAR: 'SEMINAR', SEM: 'SEMINAR', SEMR: 'SEMINAR',
+    TUTORIAL: 'TUTORIAL', TUT: 'TUTORIAL', TUTR: 'TUTORIAL',
+    PRACTICUM: 'PRACTICUM', PRAC: 'PRACTICUM', PRA: 'PRACTICUM', PRCT: 'PRACTICUM',
+    CLINICAL: 'CLINICAL', CLIN: 'CLINICAL', CLN: 'CLINICAL',
+    FIELDTRIP: 'FIELDTRIP', FIELD: 'FIELDTRIP', FLD: 'FIELDTRIP', FLDT: 'FIELDTRIP',
+    ONLINE: 'ONLINE', ONL: 'ONLINE', ONLN: 'ONLINE', WEB: 'ONLINE', DISTANCE: 'ONLINE',
+    HYBRID: 'HYBRID', HYB: 'HYBRID', HYBR: 'HYBRID', BLENDED: 'HYBRID'
+  };
+
+  return { MEETING_TYPES, TYPE_ALIASES };
+});
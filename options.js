@@ -0,0 +1,534 @@
+// Langara Swing Schedule Exporter
+// Options page: edits the settings stored by settings.js
+
+(function() {
+  'use strict';
+
+  const {
+    TEMPLATE_TYPES,
+    TEMPLATE_FIELDS,
+    TEMPLATE_PLACEHOLDERS,
+    FILENAME_PLACEHOLDERS,
+    mergeSettings,
+    loadSettings,
+    saveSettings,
+    loadClosureOverrides,
+    saveClosureOverrides,
+    getTemplate,
+    renderTemplate,
+    buildDownloadFilename,
+    parseReminderList,
+    formatReminderList,
+    describeReminder,
+    parseCourseColors,
+    formatCourseColors,
+    parseTypeAliases,
+    formatTypeAliases,
+    parseClosureOverrides,
+    formatClosureOverrides
+  } = self.LangaraSettings;
+  const { MEETING_TYPES } = self.LangaraMeetingTypes;
+  const { TERM_CLOSURES } = self.LangaraTermCalendar;
+
+  // Example meeting used for the live template previews
+  const SAMPLE_VALUES = {
+    code: 'CPSC 1150 001',
+    subject: 'CPSC',
+    course: '1150',
+    section: '001',
+    title: 'Program Design',
+    room: 'A212',
+    building: 'A',
+    buildingName: 'A Building',
+    address: '100 West 49th Avenue, Vancouver, BC V5Y 2Z6, Canada',
+    instructor: 'Jane Smith',
+    crn: '30123',
+    credits: '3.00'
+  };
+
+  // Example export used for the filename preview
+  const SAMPLE_FILENAME_VALUES = {
+    term: 'Fall 2024',
+    termCode: '202430',
+    date: '2024-09-03'
+  };
+
+  const FIELD_LABELS = {
+    summary: 'Summary (event title)',
+    description: 'Description',
+    location: 'Location'
+  };
+
+  // Settings being edited; written to storage on Save
+  let currentSettings = mergeSettings();
+
+  // Closure overrides being edited (stored under their own key); written on Save
+  let currentClosureOverrides = {};
+
+  // Refreshes each template preview (a default change affects every type)
+  let previewUpdaters = [];
+
+  // Ids of inputs whose current text can't be saved
+  const invalidInputs = new Set();
+
+  /**
+   * Shows a status message next to the Save button
+   * @param {string} message - Message text
+   * @param {boolean} isError - Style as an error
+   */
+  function showStatus(message, isError = false) {
+    const status = document.getElementById('status');
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+    if (!isError) {
+      setTimeout(() => {
+        if (status.textContent === message) {
+          status.textContent = '';
+        }
+      }, 3000);
+    }
+  }
+
+  /**
+   * Renders a placeholder reference table
+   * @param {string} id - Id of the table element
+   * @param {Object} placeholders - Placeholder name to description
+   */
+  function renderPlaceholders(id, placeholders) {
+    const table = document.getElementById(id);
+    table.textContent = '';
+    for (const [name, description] of Object.entries(placeholders)) {
+      const row = document.createElement('tr');
+      const nameCell = document.createElement('td');
+      const code = document.createElement('code');
+      code.textContent = `{${name}}`;
+      nameCell.appendChild(code);
+      const descriptionCell = document.createElement('td');
+      descriptionCell.textContent = description;
+      row.appendChild(nameCell);
+      row.appendChild(descriptionCell);
+      table.appendChild(row);
+    }
+  }
+
+  /**
+   * Renders one fieldset of template inputs with a live preview
+   * @param {string} key - 'default' or a meeting type (e.g. 'LAB')
+   * @returns {HTMLElement} Fieldset element
+   */
+  function renderTemplateFieldset(key) {
+    const isDefault = key === 'default';
+    const previewType = isDefault ? 'LECTURE' : key;
+    const typeName = previewType.charAt(0) + previewType.substring(1).toLowerCase();
+
+    const fieldset = document.createElement('fieldset');
+    const legend = document.createElement('legend');
+    legend.textContent = isDefault ? 'All meeting types' : `${typeName} (leave blank to use the default)`;
+    fieldset.appendChild(legend);
+
+    const preview = document.createElement('div');
+    preview.className = 'preview';
+
+    const updatePreview = () => {
+      const values = { ...SAMPLE_VALUES, type: typeName, TYPE: previewType };
+      preview.textContent = TEMPLATE_FIELDS
+        .map(field => `${field.toUpperCase()}: ${renderTemplate(getTemplate(currentSettings, previewType, field), values)}`)
+        .join('\n');
+    };
+
+    for (const field of TEMPLATE_FIELDS) {
+      const id = `template-${key}-${field}`;
+      const label = document.createElement('label');
+      label.htmlFor = id;
+      label.textContent = FIELD_LABELS[field];
+
+      const input = document.createElement(field === 'description' ? 'textarea' : 'input');
+      if (input.tagName === 'INPUT') {
+        input.type = 'text';
+      }
+      input.id = id;
+      input.value = currentSettings.templates[key][field] || '';
+      if (!isDefault) {
+        input.placeholder = currentSettings.templates.default[field];
+      }
+      input.addEventListener('input', () => {
+        currentSettings.templates[key][field] = input.value;
+        previewUpdaters.forEach(update => update());
+      });
+
+      fieldset.appendChild(label);
+      fieldset.appendChild(input);
+    }
+
+    fieldset.appendChild(preview);
+    previewUpdaters.push(updatePreview);
+    updatePreview();
+    return fieldset;
+  }
+
+  /**
+   * Renders the template editors for the default and each meeting type
+   */
+  function renderTemplates() {
+    const container = document.getElementById('templates');
+    container.textContent = '';
+    previewUpdaters = [];
+    for (const key of ['default', ...TEMPLATE_TYPES]) {
+      container.appendChild(renderTemplateFieldset(key));
+    }
+  }
+
+  /**
+   * Renders a reminder list input for each meeting type
+   */
+  function renderReminders() {
+    const container = document.getElementById('reminders');
+    container.textContent = '';
+
+    for (const type of TEMPLATE_TYPES) {
+      const id = `reminders-${type}`;
+      const label = document.createElement('label');
+      label.htmlFor = id;
+      label.textContent = `${type.charAt(0)}${type.substring(1).toLowerCase()}s`;
+
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.id = id;
+      input.value = formatReminderList(currentSettings.reminders[type]);
+
+      const preview = document.createElement('div');
+      preview.className = 'preview';
+
+      const update = () => {
+        const minutes = parseReminderList(input.value);
+        input.classList.toggle('invalid', minutes === null);
+        if (minutes === null) {
+          invalidInputs.add(id);
+          preview.textContent = 'Use values like 15m, 2h or 1d, separated by commas';
+          return;
+        }
+        invalidInputs.delete(id);
+        currentSettings.reminders[type] = minutes;
+        preview.textContent = minutes.length > 0
+          ? `${minutes.map(describeReminder).join(' and ')} before`
+          : 'No reminders';
+      };
+      input.addEventListener('input', update);
+      update();
+
+      container.appendChild(label);
+      container.appendChild(input);
+      container.appendChild(preview);
+    }
+  }
+
+  /**
+   * Finds the bundled closure covering a date
+   * @param {string} term - Banner term code
+   * @param {string} date - YYYY-MM-DD date
+   * @returns {Object|null} The TERM_CLOSURES entry, or null
+   */
+  function findBundledClosure(term, date) {
+    return (TERM_CLOSURES[term] || []).find(entry => entry.start <= date && date <= (entry.end || entry.start)) || null;
+  }
+
+  /**
+   * Renders the closure overrides with a summary of what each term gains and loses
+   */
+  function renderClosureOverrides() {
+    const id = 'closure-overrides';
+    const input = document.getElementById(id);
+    const preview = document.getElementById('closure-overrides-preview');
+    input.value = formatClosureOverrides(currentClosureOverrides);
+
+    const update = () => {
+      const overrides = parseClosureOverrides(input.value);
+      input.classList.toggle('invalid', overrides === null);
+      if (overrides === null) {
+        invalidInputs.add(id);
+        preview.textContent = 'Use "TERM add YYYY-MM-DD [to YYYY-MM-DD] name" or "TERM remove YYYY-MM-DD" per line, with a six-digit term code and real dates';
+        return;
+      }
+      invalidInputs.delete(id);
+      currentClosureOverrides = overrides;
+
+      const terms = Object.keys(overrides).sort();
+      if (terms.length === 0) {
+        const bundled = Object.keys(TERM_CLOSURES).sort();
+        preview.textContent = `Only the bundled closures are used (terms ${bundled[0]} to ${bundled[bundled.length - 1]})`;
+        return;
+      }
+      preview.textContent = terms.map(term => {
+        const { add, remove } = overrides[term];
+        const parts = [];
+        if (add.length > 0) {
+          parts.push(`adds ${add.map(entry => `${entry.start}${entry.end ? ` to ${entry.end}` : ''} (${entry.name})`).join(', ')}`);
+        }
+        if (remove.length > 0) {
+          parts.push(`removes ${remove.map(date => {
+            const bundled = findBundledClosure(term, date);
+            return `${date} (${bundled ? bundled.name : 'not a bundled closure'})`;
+          }).join(', ')}`);
+        }
+        const note = TERM_CLOSURES[term] ? '' : ' [no bundled closures for this term]';
+        return `${term}${note}: ${parts.join('; ')}`;
+      }).join('\n');
+    };
+    input.oninput = update;
+    update();
+  }
+
+  /**
+   * Renders the conflict flagging checkbox
+   */
+  function renderConflictOptions() {
+    const checkbox = document.getElementById('flag-conflicts');
+    checkbox.checked = currentSettings.flagConflicts;
+    checkbox.onchange = () => {
+      currentSettings.flagConflicts = checkbox.checked;
+    };
+  }
+
+  /**
+   * Renders the repeating class option
+   */
+  function renderRecurrenceOptions() {
+    const checkbox = document.getElementById('expand-recurrences');
+    checkbox.checked = currentSettings.expandRecurrences;
+    checkbox.onchange = () => {
+      currentSettings.expandRecurrences = checkbox.checked;
+    };
+  }
+
+  /**
+   * Records one change to a meeting type category, keeping only what differs from
+   * meeting-types.js so later changes to the built-in categories still apply
+   * @param {string} key - Category key (e.g. 'FIELDTRIP')
+   * @param {string} field - 'prefix', 'recurs' or 'reminders'
+   * @param {*} value - New value
+   */
+  function setMeetingTypeChange(key, field, value) {
+    const changes = { ...(currentSettings.meetingTypes[key] || {}) };
+    if (value === MEETING_TYPES[key][field]) {
+      delete changes[field];
+    } else {
+      changes[field] = value;
+    }
+    if (Object.keys(changes).length > 0) {
+      currentSettings.meetingTypes[key] = changes;
+    } else {
+      delete currentSettings.meetingTypes[key];
+    }
+  }
+
+  /**
+   * Renders the meeting type categories, with their repeat, reminder and prefix
+   * choices, and the user's extra names for them
+   */
+  function renderMeetingTypes() {
+    const table = document.getElementById('meeting-types');
+    table.textContent = '';
+    const header = table.insertRow();
+    for (const label of ['Category', 'Templates and reminders', 'Repeats weekly', 'Reminders', 'Title prefix']) {
+      const cell = document.createElement('th');
+      cell.textContent = label;
+      header.appendChild(cell);
+    }
+    for (const [key, builtIn] of Object.entries(MEETING_TYPES)) {
+      const type = { ...builtIn, ...(currentSettings.meetingTypes[key] || {}) };
+      const row = table.insertRow();
+      row.insertCell().textContent = type.name;
+      row.insertCell().textContent = type.like ? MEETING_TYPES[type.like].name : 'Default';
+
+      for (const field of ['recurs', 'reminders']) {
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = type[field];
+        checkbox.setAttribute('aria-label', `${type.name}: ${field === 'recurs' ? 'repeats weekly' : 'reminders'}`);
+        checkbox.onchange = () => setMeetingTypeChange(key, field, checkbox.checked);
+        row.insertCell().appendChild(checkbox);
+      }
+
+      const prefix = document.createElement('input');
+      prefix.type = 'text';
+      prefix.value = type.prefix.trim();
+      prefix.placeholder = 'None';
+      prefix.setAttribute('aria-label', `${type.name}: title prefix`);
+      // Separated from the summary by a space, however it was typed
+      prefix.oninput = () => {
+        const text = prefix.value.trim();
+        setMeetingTypeChange(key, 'prefix', text ? `${text} ` : '');
+      };
+      row.insertCell().appendChild(prefix);
+    }
+
+    const id = 'type-aliases';
+    const input = document.getElementById(id);
+    const preview = document.getElementById('type-aliases-preview');
+    input.value = formatTypeAliases(currentSettings.typeAliases);
+
+    const update = () => {
+      const aliases = parseTypeAliases(input.value, Object.keys(MEETING_TYPES));
+      input.classList.toggle('invalid', aliases === null);
+      if (aliases === null) {
+        invalidInputs.add(id);
+        const names = Object.values(MEETING_TYPES).map(type => type.name).join(', ');
+        preview.textContent = `Use one "NAME = category" per line, where the category is one of: ${names}`;
+        return;
+      }
+      invalidInputs.delete(id);
+      currentSettings.typeAliases = aliases;
+      preview.textContent = Object.entries(aliases)
+        .map(([alias, category]) => `${alias} is read as ${MEETING_TYPES[category].name}`)
+        .join('; ') || 'Only the built-in names are recognised';
+    };
+    input.oninput = update;
+    update();
+  }
+
+  /**
+   * Renders the course colour overrides with a swatch per course
+   */
+  function renderCourseColors() {
+    const id = 'course-colors';
+    const input = document.getElementById(id);
+    const preview = document.getElementById('course-colors-preview');
+    input.value = formatCourseColors(currentSettings.courseColors);
+
+    const update = () => {
+      const colors = parseCourseColors(input.value);
+      input.classList.toggle('invalid', colors === null);
+      preview.textContent = '';
+      if (colors === null) {
+        invalidInputs.add(id);
+        preview.textContent = 'Use one "SUBJ 1234: colourname" per line, with a CSS colour name such as crimson or teal';
+        return;
+      }
+      invalidInputs.delete(id);
+      currentSettings.courseColors = colors;
+      if (Object.keys(colors).length === 0) {
+        preview.textContent = 'Every course uses its automatic colour';
+        return;
+      }
+      for (const [course, color] of Object.entries(colors)) {
+        const item = document.createElement('div');
+        const swatch = document.createElement('span');
+        swatch.className = 'swatch';
+        swatch.style.backgroundColor = color;
+        item.appendChild(swatch);
+        item.appendChild(document.createTextNode(`${course}: ${color}`));
+        preview.appendChild(item);
+      }
+    };
+    input.oninput = update;
+    update();
+  }
+
+  /**
+   * Renders the per-course calendar options
+   */
+  function renderCalendarBundleOptions() {
+    const checkbox = document.getElementById('separate-exam-calendar');
+    checkbox.checked = currentSettings.separateExamCalendar;
+    checkbox.onchange = () => {
+      currentSettings.separateExamCalendar = checkbox.checked;
+    };
+  }
+
+  /**
+   * Renders the download options with a preview of the resulting path
+   */
+  function renderDownloadOptions() {
+    const preview = document.getElementById('filename-preview');
+    const update = () => {
+      preview.textContent = `Saved as: ${buildDownloadFilename(currentSettings, SAMPLE_FILENAME_VALUES, 'ics')}`;
+    };
+
+    const inputs = {
+      'filename-template': 'filenameTemplate',
+      'download-label': 'label',
+      'download-folder': 'folder'
+    };
+    for (const [id, key] of Object.entries(inputs)) {
+      const input = document.getElementById(id);
+      input.value = currentSettings.downloads[key];
+      input.oninput = () => {
+        currentSettings.downloads[key] = input.value;
+        update();
+      };
+    }
+
+    const checkbox = document.getElementById('save-as');
+    checkbox.checked = currentSettings.downloads.saveAs;
+    checkbox.onchange = () => {
+      currentSettings.downloads.saveAs = checkbox.checked;
+    };
+    update();
+  }
+
+  /**
+   * Renders the troubleshooting options
+   */
+  function renderDebugOptions() {
+    const checkbox = document.getElementById('debug');
+    checkbox.checked = currentSettings.debug;
+    checkbox.onchange = () => {
+      currentSettings.debug = checkbox.checked;
+    };
+  }
+
+  /**
+   * Renders every section of the page from currentSettings
+   */
+  function render() {
+    invalidInputs.clear();
+    renderPlaceholders('placeholders', TEMPLATE_PLACEHOLDERS);
+    renderTemplates();
+    renderReminders();
+    renderMeetingTypes();
+    renderClosureOverrides();
+    renderConflictOptions();
+    renderRecurrenceOptions();
+    renderCourseColors();
+    renderCalendarBundleOptions();
+    renderPlaceholders('filename-placeholders', FILENAME_PLACEHOLDERS);
+    renderDownloadOptions();
+    renderDebugOptions();
+  }
+
+  /**
+   * Initialize the options page
+   */
+  async function init() {
+    currentSettings = await loadSettings();
+    currentClosureOverrides = await loadClosureOverrides();
+    render();
+
+    document.getElementById('save').addEventListener('click', async () => {
+      if (invalidInputs.size > 0) {
+        showStatus('Fix the highlighted fields before saving.', true);
+        return;
+      }
+      try {
+        // The export format is picked in the popup and preview panel, not here, so keep
+        // the one they saved since this page was opened
+        const stored = await loadSettings();
+        await saveSettings({ ...currentSettings, exportFormat: stored.exportFormat });
+        await saveClosureOverrides(currentClosureOverrides);
+        showStatus('Saved. Export again to use the new settings.');
+      } catch (error) {
+        console.error('Error saving settings:', error);
+        showStatus(`Could not save: ${error.message}`, true);
+      }
+    });
+
+    document.getElementById('reset').addEventListener('click', () => {
+      currentSettings = mergeSettings();
+      currentClosureOverrides = {};
+      render();
+      showStatus('Defaults restored. Click Save to keep them.');
+    });
+  }
+
+  init();
+})();
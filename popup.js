@@ -0,0 +1,188 @@
+// Langara Swing Schedule Exporter
+// Toolbar popup: shows whether the current tab has a schedule and exports it
+// through the content script, which does the scraping and file generation.
+
+(function() {
+  'use strict';
+
+  const { loadSettings, saveExportFormat } = self.LangaraSettings;
+  const { EXPORTERS, MESSAGE_TYPES, describeTerm } = self.LangaraCore;
+  const { TERM_CLOSURES } = self.LangaraTermCalendar;
+
+  // Tab the popup was opened on
+  let tabId = null;
+
+  // Saved settings, for the remembered export format
+  let settings = null;
+
+  // Term the content script detected; other picks are sent as an override
+  let detectedTermCode = null;
+
+  /**
+   * Sends a message to the content script in the current tab
+   * @param {Object} message - {type} from MESSAGE_TYPES plus its fields
+   * @returns {Promise<Object>} The content script's reply
+   */
+  function sendToTab(message) {
+    return chrome.tabs.sendMessage(tabId, message);
+  }
+
+  /**
+   * Shows the outcome of an action below the buttons
+   * @param {string} message - Message text
+   * @param {boolean} isError - Style as an error
+   */
+  function showResult(message, isError = false) {
+    const result = document.getElementById('result');
+    result.textContent = message;
+    result.classList.toggle('error', isError);
+  }
+
+  /**
+   * Fills the term picker with the detected term and every term in the bundled calendar
+   * @param {Object} detected - Term from detectTerm
+   */
+  function renderTermOptions(detected) {
+    const select = document.getElementById('term');
+    select.textContent = '';
+    const codes = new Set(Object.keys(TERM_CLOSURES));
+    codes.delete(detected.code);
+
+    const terms = [detected, ...Array.from(codes).sort().reverse().map(describeTerm)];
+    for (const term of terms) {
+      const option = document.createElement('option');
+      option.value = term.code;
+      option.textContent = term === detected ? `${term.name} (detected)` : term.name;
+      select.appendChild(option);
+    }
+    select.value = detected.code;
+  }
+
+  /**
+   * Fills the format picker, selecting the last format used
+   */
+  function renderFormatOptions() {
+    const select = document.getElementById('format');
+    select.textContent = '';
+    for (const [key, exporter] of Object.entries(EXPORTERS)) {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = exporter.label;
+      select.appendChild(option);
+    }
+    select.value = EXPORTERS[settings.exportFormat] ? settings.exportFormat : 'ics';
+
+    select.addEventListener('change', () => {
+      // Remember the choice for next time, as the preview panel does
+      settings.exportFormat = select.value;
+      saveExportFormat(select.value).catch(error => {
+        console.warn('Could not save export format:', error);
+      });
+    });
+  }
+
+  /**
+   * Summarizes the content script's status reply
+   * @param {Object} status - Reply to MESSAGE_TYPES.STATUS
+   * @returns {string} Text for the status line
+   */
+  function describeStatus(status) {
+    const parts = [`${status.term.name}: ${status.active} session(s) ready to export`];
+    if (status.sessions > status.active) {
+      parts.push(`${status.sessions - status.active} dropped`);
+    }
+    if (status.notExportable > 0) {
+      parts.push(`${status.notExportable} can't be exported`);
+    }
+    return parts.join(', ');
+  }
+
+  /**
+   * Asks the content script what it found and shows the matching controls
+   */
+  async function refreshStatus() {
+    const statusLine = document.getElementById('schedule-status');
+    const exportButton = document.getElementById('export');
+    const previewButton = document.getElementById('preview');
+
+    let status;
+    try {
+      status = await sendToTab({ type: MESSAGE_TYPES.STATUS });
+    } catch (error) {
+      // No content script answers outside Swing (or before the page has loaded)
+      statusLine.textContent = 'Open your schedule in Swing (Student Schedule, "By Course View") to export it.';
+      return;
+    }
+
+    previewButton.hidden = false;
+    if (!status.ok) {
+      statusLine.textContent = `No exportable schedule on this page: ${status.error}`;
+      statusLine.classList.add('error');
+      previewButton.textContent = 'Show details in page';
+      return;
+    }
+
+    statusLine.textContent = describeStatus(status);
+    if (status.pageType === 'week') {
+      statusLine.textContent += '. Week view dates only cover the weeks viewed in that tab.';
+    }
+    detectedTermCode = status.term.code;
+    renderTermOptions(status.term);
+    document.getElementById('export-options').hidden = false;
+    exportButton.hidden = false;
+  }
+
+  /**
+   * Gets the term picked in the popup, if it differs from the detected one
+   * @returns {string|null} Term code override, or null to use the detected term
+   */
+  function getTermOverride() {
+    const code = document.getElementById('term').value;
+    return code && code !== detectedTermCode ? code : null;
+  }
+
+  /**
+   * Initialize the popup
+   */
+  async function init() {
+    settings = await loadSettings();
+    renderFormatOptions();
+
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    tabId = tab ? tab.id : null;
+    if (tabId !== null) {
+      await refreshStatus();
+    }
+
+    document.getElementById('export').addEventListener('click', async () => {
+      const exportButton = document.getElementById('export');
+      exportButton.disabled = true;
+      showResult('Exporting...');
+      try {
+        const reply = await sendToTab({
+          type: MESSAGE_TYPES.EXPORT,
+          termCode: getTermOverride(),
+          format: document.getElementById('format').value,
+          includeDropped: document.getElementById('include-dropped').checked
+        });
+        showResult(reply.message, !reply.ok);
+      } catch (error) {
+        showResult(`Could not reach the Swing page: ${error.message}`, true);
+      } finally {
+        exportButton.disabled = false;
+      }
+    });
+
+    document.getElementById('preview').addEventListener('click', async () => {
+      await sendToTab({ type: MESSAGE_TYPES.PREVIEW, termCode: getTermOverride() });
+      window.close();
+    });
+
+    document.getElementById('open-options').addEventListener('click', (event) => {
+      event.preventDefault();
+      chrome.runtime.openOptionsPage();
+    });
+  }
+
+  init();
+})();
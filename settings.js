@@ -0,0 +1,551 @@
+// Langara Swing Schedule Exporter
+// Shared settings: defaults, chrome.storage access and template rendering.
+// Loaded by the content script, the options page and the command line tool.
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LangaraSettings = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  // chrome.storage.sync key holding the user's settings
+  const SETTINGS_STORAGE_KEY = 'settings';
+
+  // chrome.storage.sync key holding user additions/removals to the bundled
+  // closure table: {"202430": {add: [{start, end, name}], remove: ["YYYY-MM-DD"]}}
+  const CLOSURE_OVERRIDES_KEY = 'closureOverrides';
+
+  // Meeting types that can override the default templates; other categories
+  // use the templates of the type they behave like (see meeting-types.js)
+  const TEMPLATE_TYPES = ['LECTURE', 'LAB', 'EXAM'];
+
+  // Event text fields rendered from templates
+  const TEMPLATE_FIELDS = ['summary', 'description', 'location'];
+
+  /**
+   * Placeholders available in templates. {type} is the meeting type's name
+   * ("Lab", "Field Trip"), {TYPE} is the same in capitals. Text in [square brackets] is
+   * dropped when any placeholder inside it is empty.
+   */
+  const TEMPLATE_PLACEHOLDERS = {
+    code: 'Course code, e.g. CPSC 1150 001',
+    subject: 'Subject, e.g. CPSC',
+    course: 'Course number, e.g. 1150',
+    section: 'Section, e.g. 001',
+    title: 'Course title',
+    type: 'Meeting type, e.g. Lab',
+    TYPE: 'Meeting type in capitals, e.g. LAB',
+    room: 'Room, e.g. A212',
+    building: 'Building code, e.g. A',
+    buildingName: 'Building name from the campus directory, e.g. A Building',
+    address: 'Campus street address',
+    instructor: 'Instructor name',
+    crn: 'CRN',
+    credits: 'Credits'
+  };
+
+  // Placeholders available in the download filename template
+  const FILENAME_PLACEHOLDERS = {
+    term: 'Term name, e.g. Fall 2024',
+    termCode: 'Banner term code, e.g. 202430',
+    label: 'Your label from these options, e.g. work laptop',
+    date: 'Export date, e.g. 2024-09-03'
+  };
+
+  // Colours given to courses without an override, picked by a hash of the course.
+  // Calendar COLOR properties must be CSS3 colour names (RFC 7986 section 5.9).
+  const COURSE_COLOR_PALETTE = [
+    'royalblue', 'seagreen', 'darkorange', 'mediumvioletred',
+    'teal', 'crimson', 'slateblue', 'olivedrab',
+    'chocolate', 'steelblue', 'darkgoldenrod', 'orchid',
+    'indianred', 'darkcyan', 'mediumpurple', 'forestgreen'
+  ];
+
+  // CSS3 extended colour keywords, the values a course colour override may use
+  const CSS_COLOR_NAMES = new Set((
+    'aliceblue antiquewhite aqua aquamarine azure beige bisque black blanchedalmond blue ' +
+    'blueviolet brown burlywood cadetblue chartreuse chocolate coral cornflowerblue cornsilk ' +
+    'crimson cyan darkblue darkcyan darkgoldenrod darkgray darkgreen darkgrey darkkhaki ' +
+    'darkmagenta darkolivegreen darkorange darkorchid darkred darksalmon darkseagreen ' +
+    'darkslateblue darkslategray darkslategrey darkturquoise darkviolet deeppink deepskyblue ' +
+    'dimgray dimgrey dodgerblue firebrick floralwhite forestgreen fuchsia gainsboro ghostwhite ' +
+    'gold goldenrod gray green greenyellow grey honeydew hotpink indianred indigo ivory khaki ' +
+    'lavender lavenderblush lawngreen lemonchiffon lightblue lightcoral lightcyan ' +
+    'lightgoldenrodyellow lightgray lightgreen lightgrey lightpink lightsalmon lightseagreen ' +
+    'lightskyblue lightslategray lightslategrey lightsteelblue lightyellow lime limegreen linen ' +
+    'magenta maroon mediumaquamarine mediumblue mediumorchid mediumpurple mediumseagreen ' +
+    'mediumslateblue mediumspringgreen mediumturquoise mediumvioletred midnightblue mintcream ' +
+    'mistyrose moccasin navajowhite navy oldlace olive olivedrab orange orangered orchid ' +
+    'palegoldenrod palegreen paleturquoise palevioletred papayawhip peachpuff peru pink plum ' +
+    'powderblue purple red rosybrown royalblue saddlebrown salmon sandybrown seagreen seashell ' +
+    'sienna silver skyblue slateblue slategray slategrey snow springgreen steelblue tan teal ' +
+    'thistle tomato turquoise violet wheat white whitesmoke yellow yellowgreen'
+  ).split(' '));
+
+  // Characters that downloads can't use in a file or folder name
+  const UNSAFE_FILENAME_CHARACTERS = /[<>:"\/\\|?*\x00-\x1f]+/g;
+
+  const DEFAULT_SETTINGS = {
+    templates: {
+      default: {
+        summary: '{code} {TYPE}',
+        description: '{title}[\nCRN: {crn}][\nCredits: {credits}][\nInstructor: {instructor}]',
+        location: 'Langara College[, {buildingName}][, Room {room}][, {address}]'
+      },
+      // Per-type overrides; empty fields fall back to the default template
+      LECTURE: { summary: '', description: '', location: '' },
+      LAB: { summary: '', description: '', location: '' },
+      EXAM: { summary: 'FINAL EXAM - {code}', description: '', location: '' }
+    },
+    // Add a note and category to sessions that overlap another session
+    flagConflicts: true,
+    // Write one event per class meeting instead of a repeating (RRULE) event
+    expandRecurrences: false,
+    // Colour overrides keyed by course ("CPSC 1150"), as CSS3 colour names
+    courseColors: {},
+    // Extra meeting type spellings ("WKSP") mapped to a category in meeting-types.js ("SEMINAR")
+    typeAliases: {},
+    // Per-category changes to meeting-types.js, keyed by category:
+    // {"FIELDTRIP": {prefix: 'Field trip: ', recurs: true, reminders: false}}
+    meetingTypes: {},
+    // In per-course ZIP exports, put final exams in their own calendar
+    separateExamCalendar: false,
+    // Last format chosen in the preview panel (key into the content script's EXPORTERS)
+    exportFormat: 'ics',
+    // Log parsing details (which table was used, invalid rows) to the Swing page's console
+    debug: false,
+    // How chrome.downloads saves exported files
+    downloads: {
+      // Ask where to save each file
+      saveAs: false,
+      // Without the extension, which the export format adds
+      filenameTemplate: 'langara-schedule-{termCode}[-{label}]-{date}',
+      // Subfolder of the browser's download folder ('' for the folder itself)
+      folder: '',
+      // Value of {label}, e.g. to tell apart schedules exported on different devices
+      label: ''
+    },
+    // Reminder offsets in minutes before each meeting type starts
+    reminders: {
+      LECTURE: [15],
+      LAB: [30],
+      EXAM: [1440, 120]
+    }
+  };
+
+  /**
+   * Keeps the meeting type changes that are well formed: a string prefix and
+   * true/false recurs and reminders, under normalized category keys
+   * @param {Object} stored - Stored meetingTypes setting (may be missing or hand-written)
+   * @returns {Object} Category to {prefix?, recurs?, reminders?}
+   */
+  function mergeMeetingTypes(stored) {
+    const meetingTypes = {};
+    for (const [category, changes] of Object.entries(stored || {})) {
+      if (!changes || typeof changes !== 'object') continue;
+      const kept = {};
+      if (typeof changes.prefix === 'string') {
+        kept.prefix = changes.prefix;
+      }
+      for (const flag of ['recurs', 'reminders']) {
+        if (typeof changes[flag] === 'boolean') {
+          kept[flag] = changes[flag];
+        }
+      }
+      if (Object.keys(kept).length > 0) {
+        meetingTypes[normalizeTypeText(category)] = kept;
+      }
+    }
+    return meetingTypes;
+  }
+
+  /**
+   * Merges stored settings over the defaults, one level into each template
+   * @param {Object} stored - Settings read from storage (may be partial)
+   * @returns {Object} Complete settings object
+   */
+  function mergeSettings(stored = {}) {
+    const settings = JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+    const templates = stored.templates || {};
+
+    for (const key of Object.keys(templates)) {
+      settings.templates[key] = { ...(settings.templates[key] || {}), ...templates[key] };
+    }
+
+    settings.reminders = { ...settings.reminders, ...(stored.reminders || {}) };
+    settings.downloads = { ...settings.downloads, ...(stored.downloads || {}) };
+    settings.courseColors = { ...(stored.courseColors || {}) };
+    // Hand-written settings (e.g. for the command line tool) may spell aliases any way
+    settings.typeAliases = Object.fromEntries(Object.entries(stored.typeAliases || {})
+      .map(([alias, category]) => [normalizeTypeText(alias), normalizeTypeText(category)]));
+    settings.meetingTypes = mergeMeetingTypes(stored.meetingTypes);
+    if (typeof stored.flagConflicts === 'boolean') {
+      settings.flagConflicts = stored.flagConflicts;
+    }
+    if (typeof stored.expandRecurrences === 'boolean') {
+      settings.expandRecurrences = stored.expandRecurrences;
+    }
+    if (typeof stored.separateExamCalendar === 'boolean') {
+      settings.separateExamCalendar = stored.separateExamCalendar;
+    }
+    if (typeof stored.debug === 'boolean') {
+      settings.debug = stored.debug;
+    }
+    if (stored.exportFormat) {
+      settings.exportFormat = stored.exportFormat;
+    }
+
+    return settings;
+  }
+
+  /**
+   * Loads settings from chrome.storage.sync, falling back to defaults
+   * @returns {Promise<Object>} Complete settings object
+   */
+  async function loadSettings() {
+    try {
+      const result = await chrome.storage.sync.get(SETTINGS_STORAGE_KEY);
+      return mergeSettings(result[SETTINGS_STORAGE_KEY]);
+    } catch (error) {
+      console.warn('Could not load settings, using defaults:', error);
+      return mergeSettings();
+    }
+  }
+
+  /**
+   * Saves settings to chrome.storage.sync
+   * @param {Object} settings - Complete settings object
+   * @returns {Promise<void>}
+   */
+  async function saveSettings(settings) {
+    await chrome.storage.sync.set({ [SETTINGS_STORAGE_KEY]: settings });
+  }
+
+  /**
+   * Remembers the last export format chosen
+   * Merged into freshly loaded settings, so a popup or preview panel that has been
+   * open for a while doesn't write back settings changed on the options page since
+   * @param {string} format - Export format key (e.g. 'ics')
+   * @returns {Promise<void>}
+   */
+  async function saveExportFormat(format) {
+    const settings = await loadSettings();
+    settings.exportFormat = format;
+    await saveSettings(settings);
+  }
+
+  /**
+   * Loads the closure overrides of every term from chrome.storage.sync
+   * @returns {Promise<Object>} Term code to {add, remove}; empty if none or unreadable
+   */
+  async function loadClosureOverrides() {
+    try {
+      const result = await chrome.storage.sync.get(CLOSURE_OVERRIDES_KEY);
+      return result[CLOSURE_OVERRIDES_KEY] || {};
+    } catch (error) {
+      console.warn('Could not load closure overrides:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Saves the closure overrides of every term to chrome.storage.sync
+   * @param {Object} overrides - Term code to {add, remove}
+   * @returns {Promise<void>}
+   */
+  async function saveClosureOverrides(overrides) {
+    await chrome.storage.sync.set({ [CLOSURE_OVERRIDES_KEY]: overrides });
+  }
+
+  /**
+   * Picks the template for a meeting type and field, falling back to the default
+   * @param {Object} settings - Complete settings object
+   * @param {string} type - Meeting type (e.g. 'LAB')
+   * @param {string} field - 'summary' | 'description' | 'location'
+   * @returns {string} Template text
+   */
+  function getTemplate(settings, type, field) {
+    const override = settings.templates[type] && settings.templates[type][field];
+    return override || settings.templates.default[field] || '';
+  }
+
+  /**
+   * Renders a template, replacing {placeholders} with values
+   * Optional sections in [square brackets] are removed when any placeholder
+   * inside them is empty. Unknown placeholders are left as typed.
+   * @param {string} template - Template text
+   * @param {Object} values - Placeholder values
+   * @returns {string} Rendered text
+   */
+  function renderTemplate(template, values) {
+    const has = (name) => Object.prototype.hasOwnProperty.call(values, name);
+    const replace = (text) => text.replace(/\{(\w+)\}/g, (match, name) => (
+      has(name) ? String(values[name] || '') : match
+    ));
+
+    // Sections and placeholders are matched in one pass, so values are never re-expanded
+    return (template || '').replace(/\[([^\[\]]*)\]|\{(\w+)\}/g, (match, section) => {
+      if (section === undefined) {
+        return replace(match);
+      }
+      const names = Array.from(section.matchAll(/\{(\w+)\}/g), m => m[1]);
+      if (names.length === 0) {
+        return match;
+      }
+      return names.some(name => has(name) && !values[name]) ? '' : replace(section);
+    }).trim();
+  }
+
+  /**
+   * Makes text safe as one file or folder name: unsafe characters become "-",
+   * and leading/trailing dots and spaces are removed
+   * @param {string} text - Proposed name
+   * @returns {string} Safe name, possibly empty
+   */
+  function sanitizeFilenamePart(text) {
+    return String(text || '')
+      .replace(UNSAFE_FILENAME_CHARACTERS, '-')
+      .replace(/\s+/g, ' ')
+      .replace(/-{2,}/g, '-')
+      .replace(/^[\s.-]+|[\s.]+$/g, '');
+  }
+
+  /**
+   * Builds the download path for an export from the filename template and folder
+   * @param {Object} settings - Complete settings object
+   * @param {Object} values - {term, termCode, date}; the label comes from settings
+   * @param {string} extension - File extension without the dot, e.g. 'ics'
+   * @returns {string} Path relative to the download folder, e.g. "Langara/langara-schedule-202430-2024-09-03.ics"
+   */
+  function buildDownloadFilename(settings, values, extension) {
+    const downloads = settings.downloads;
+    const name = sanitizeFilenamePart(renderTemplate(downloads.filenameTemplate, {
+      ...values,
+      label: downloads.label
+    })) || 'langara-schedule';
+
+    // Each folder level is cleaned separately; ".." and empty levels are dropped
+    const folders = String(downloads.folder || '').split(/[\\/]+/)
+      .map(sanitizeFilenamePart)
+      .filter(Boolean);
+
+    return [...folders, `${name}.${extension}`].join('/');
+  }
+
+  /**
+   * Parses a reminder list such as "1d, 2h, 15m" (a bare number means minutes)
+   * @param {string} text - Comma-separated reminder offsets
+   * @returns {number[]|null} Minutes before the event, largest first, or null if invalid
+   */
+  function parseReminderList(text) {
+    const units = { d: 1440, h: 60, m: 1 };
+    const minutes = [];
+
+    for (const part of (text || '').split(',').map(item => item.trim()).filter(Boolean)) {
+      const match = part.match(/^(\d+)\s*([dhm]?)$/i);
+      if (!match) return null;
+      minutes.push(parseInt(match[1], 10) * units[(match[2] || 'm').toLowerCase()]);
+    }
+
+    return Array.from(new Set(minutes)).sort((a, b) => b - a);
+  }
+
+  /**
+   * Formats reminder offsets for editing (e.g. [1440, 120] -> "1d, 2h")
+   * @param {number[]} minutes - Minutes before the event
+   * @returns {string} Comma-separated reminder offsets
+   */
+  function formatReminderList(minutes) {
+    return (minutes || []).map(value => {
+      if (value > 0 && value % 1440 === 0) return `${value / 1440}d`;
+      if (value > 0 && value % 60 === 0) return `${value / 60}h`;
+      return `${value}m`;
+    }).join(', ');
+  }
+
+  /**
+   * Describes a reminder offset for people (e.g. 120 -> "2 hours")
+   * @param {number} minutes - Minutes before the event
+   * @returns {string} Human-readable offset
+   */
+  function describeReminder(minutes) {
+    const plural = (value, unit) => `${value} ${unit}${value === 1 ? '' : 's'}`;
+    if (minutes > 0 && minutes % 1440 === 0) return plural(minutes / 1440, 'day');
+    if (minutes > 0 && minutes % 60 === 0) return plural(minutes / 60, 'hour');
+    return `${minutes} min`;
+  }
+
+  /**
+   * Normalizes a course name for colour lookups (e.g. "cpsc1150" -> "CPSC 1150")
+   * @param {string} text - Subject and course number
+   * @returns {string} Upper case subject and number separated by one space
+   */
+  function normalizeCourseKey(text) {
+    return String(text || '').toUpperCase().trim()
+      .replace(/^([A-Z]+)\s*(\d)/, '$1 $2')
+      .replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Parses course colour overrides, one "CPSC 1150: crimson" per line
+   * @param {string} text - Overrides as typed
+   * @returns {Object|null} Course to colour name, or null if a line is invalid
+   */
+  function parseCourseColors(text) {
+    const colors = {};
+
+    for (const line of (text || '').split('\n').map(item => item.trim()).filter(Boolean)) {
+      const match = line.match(/^([A-Za-z]+\s*\d+[A-Za-z]?)\s*[:=]\s*([A-Za-z]+)$/);
+      if (!match || !CSS_COLOR_NAMES.has(match[2].toLowerCase())) return null;
+      colors[normalizeCourseKey(match[1])] = match[2].toLowerCase();
+    }
+
+    return colors;
+  }
+
+  /**
+   * Formats course colour overrides for editing
+   * @param {Object} colors - Course to colour name
+   * @returns {string} One "CPSC 1150: crimson" per line
+   */
+  function formatCourseColors(colors) {
+    return Object.keys(colors || {}).sort().map(key => `${key}: ${colors[key]}`).join('\n');
+  }
+
+  /**
+   * Reduces a meeting type to the form aliases are stored in: upper case, letters and digits only
+   * @param {string} text - Meeting type as Banner or the user wrote it (e.g. "Field Trip")
+   * @returns {string} Normalized text (e.g. "FIELDTRIP")
+   */
+  function normalizeTypeText(text) {
+    return String(text || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  /**
+   * Parses meeting type aliases, one "WKSP = SEMINAR" per line
+   * @param {string} text - Aliases as typed
+   * @param {string[]} categories - Category keys aliases may point to (e.g. 'SEMINAR')
+   * @returns {Object|null} Normalized type to category key, or null if a line is invalid
+   */
+  function parseTypeAliases(text, categories) {
+    const aliases = {};
+
+    for (const line of (text || '').split('\n').map(item => item.trim()).filter(Boolean)) {
+      const match = line.match(/^([^:=]+?)\s*[:=]\s*([^:=]+)$/);
+      if (!match) return null;
+      const alias = normalizeTypeText(match[1]);
+      const category = normalizeTypeText(match[2]);
+      if (!alias || !categories.includes(category)) return null;
+      aliases[alias] = category;
+    }
+
+    return aliases;
+  }
+
+  /**
+   * Formats meeting type aliases for editing
+   * @param {Object} aliases - Normalized type to category key
+   * @returns {string} One "WKSP = SEMINAR" per line
+   */
+  function formatTypeAliases(aliases) {
+    return Object.keys(aliases || {}).sort().map(key => `${key} = ${aliases[key]}`).join('\n');
+  }
+
+  /**
+   * Checks a YYYY-MM-DD date exists on the calendar
+   * @param {string} text - Date text
+   * @returns {boolean} True for real dates (2024-02-30 is rejected)
+   */
+  function isCalendarDate(text) {
+    const date = new Date(`${text}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().substring(0, 10) === text;
+  }
+
+  /**
+   * Parses closure overrides, one per line:
+   * "202430 add 2024-10-15 Campus closed", "202430 add 2024-12-20 to 2024-12-24 Winter break"
+   * or "202430 remove 2024-09-30"
+   * @param {string} text - Overrides as typed
+   * @returns {Object|null} Term code to {add: [{start, end, name}], remove: ["YYYY-MM-DD"]},
+   *   or null if a line is invalid
+   */
+  function parseClosureOverrides(text) {
+    const overrides = {};
+
+    for (const line of (text || '').split('\n').map(item => item.trim()).filter(Boolean)) {
+      const match = line.match(/^(\d{6})\s+(add|remove)\s+(\d{4}-\d{2}-\d{2})(?:\s+to\s+(\d{4}-\d{2}-\d{2}))?(?:\s+(.*))?$/i);
+      if (!match) return null;
+      const [, term, action, start, end, name] = match;
+      if (!isCalendarDate(start) || (end && (!isCalendarDate(end) || end < start))) return null;
+
+      const entry = overrides[term] = overrides[term] || { add: [], remove: [] };
+      if (action.toLowerCase() === 'remove') {
+        // A removed range lists each of its days
+        for (let day = start; day <= (end || start);) {
+          entry.remove.push(day);
+          const next = new Date(`${day}T00:00:00Z`);
+          next.setUTCDate(next.getUTCDate() + 1);
+          day = next.toISOString().substring(0, 10);
+        }
+      } else {
+        entry.add.push({ start, ...(end ? { end } : {}), name: (name || '').trim() || 'College closed' });
+      }
+    }
+
+    return overrides;
+  }
+
+  /**
+   * Formats closure overrides for editing
+   * @param {Object} overrides - Term code to {add, remove}
+   * @returns {string} One addition or removal per line
+   */
+  function formatClosureOverrides(overrides) {
+    const lines = [];
+    for (const term of Object.keys(overrides || {}).sort()) {
+      for (const entry of overrides[term].add || []) {
+        lines.push(`${term} add ${entry.start}${entry.end ? ` to ${entry.end}` : ''} ${entry.name || ''}`.trim());
+      }
+      for (const date of overrides[term].remove || []) {
+        lines.push(`${term} remove ${date}`);
+      }
+    }
+    return lines.join('\n');
+  }
+
+  return {
+    SETTINGS_STORAGE_KEY,
+    CLOSURE_OVERRIDES_KEY,
+    TEMPLATE_TYPES,
+    TEMPLATE_FIELDS,
+    TEMPLATE_PLACEHOLDERS,
+    FILENAME_PLACEHOLDERS,
+    COURSE_COLOR_PALETTE,
+    CSS_COLOR_NAMES,
+    DEFAULT_SETTINGS,
+    mergeSettings,
+    loadSettings,
+    saveSettings,
+    saveExportFormat,
+    loadClosureOverrides,
+    saveClosureOverrides,
+    getTemplate,
+    renderTemplate,
+    sanitizeFilenamePart,
+    buildDownloadFilename,
+    parseReminderList,
+    formatReminderList,
+    describeReminder,
+    normalizeCourseKey,
+    parseCourseColors,
+    formatCourseColors,
+    normalizeTypeText,
+    parseTypeAliases,
+    formatTypeAliases,
+    parseClosureOverrides,
+    formatClosureOverrides
+  };
+});
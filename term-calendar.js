@@ -0,0 +1,85 @@
+// Langara Swing Schedule Exporter
+// Term calendar: days the college is closed, excluded from recurring events
+//
+// Keyed by Banner term code (e.g. 202430 = Fall 2024). Each entry is a single
+// day ({start}) or an inclusive range ({start, end}) in YYYY-MM-DD format.
+// Update this table from Langara's published academic calendar; users can add
+// or remove dates locally on the options page ("College closures"), which saves
+// them under the "closureOverrides" storage key.
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LangaraTermCalendar = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  const TERM_CLOSURES = {
+    // Spring 2024
+    '202410': [
+      { start: '2024-02-19', end: '2024-02-23', name: 'Family Day / Reading Break' },
+      { start: '2024-03-29', name: 'Good Friday' },
+      { start: '2024-04-01', name: 'Easter Monday' }
+    ],
+    // Summer 2024
+    '202420': [
+      { start: '2024-05-20', name: 'Victoria Day' },
+      { start: '2024-07-01', name: 'Canada Day' },
+      { start: '2024-08-05', name: 'BC Day' }
+    ],
+    // Fall 2024
+    '202430': [
+      { start: '2024-09-30', name: 'National Day for Truth and Reconciliation' },
+      { start: '2024-10-14', name: 'Thanksgiving' },
+      { start: '2024-11-11', name: 'Remembrance Day' }
+    ],
+    // Spring 2025
+    '202510': [
+      { start: '2025-02-17', end: '2025-02-21', name: 'Family Day / Reading Break' },
+      { start: '2025-04-18', name: 'Good Friday' },
+      { start: '2025-04-21', name: 'Easter Monday' }
+    ],
+    // Summer 2025
+    '202520': [
+      { start: '2025-05-19', name: 'Victoria Day' },
+      { start: '2025-07-01', name: 'Canada Day' },
+      { start: '2025-08-04', name: 'BC Day' }
+    ],
+    // Fall 2025
+    '202530': [
+      { start: '2025-09-01', name: 'Labour Day' },
+      { start: '2025-09-30', name: 'National Day for Truth and Reconciliation' },
+      { start: '2025-10-13', name: 'Thanksgiving' },
+      { start: '2025-11-11', name: 'Remembrance Day' }
+    ],
+    // Spring 2026
+    '202610': [
+      { start: '2026-02-16', end: '2026-02-20', name: 'Family Day / Reading Break' },
+      { start: '2026-04-03', name: 'Good Friday' },
+      { start: '2026-04-06', name: 'Easter Monday' }
+    ],
+    // Summer 2026
+    '202620': [
+      { start: '2026-05-18', name: 'Victoria Day' },
+      { start: '2026-07-01', name: 'Canada Day' },
+      { start: '2026-08-03', name: 'BC Day' }
+    ],
+    // Fall 2026
+    '202630': [
+      { start: '2026-09-07', name: 'Labour Day' },
+      { start: '2026-09-30', name: 'National Day for Truth and Reconciliation' },
+      { start: '2026-10-12', name: 'Thanksgiving' },
+      { start: '2026-11-11', name: 'Remembrance Day' }
+    ],
+    // Spring 2027
+    '202710': [
+      { start: '2027-02-15', end: '2027-02-19', name: 'Family Day / Reading Break' },
+      { start: '2027-03-26', name: 'Good Friday' },
+      { start: '2027-03-29', name: 'Easter Monday' }
+    ]
+  };
+
+  return { TERM_CLOSURES };
+});
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+// Langara Swing Schedule Exporter
+// Stand-in Banner 9 server: answers the registration app's JSON endpoints from a
+// recorded {registrationEvents, meetingTimes} file, so the command line tool's
+// address mode (and banner9.js's requests) can run without Langara's server.
+//
+//   node test/banner9-server.js <recording.json> [port]
+//   node cli/swing-export.js -o - http://localhost:8080/StudentRegistrationSsb/ssb/
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+
+const { BANNER9_APP_PATH, BANNER9_ENDPOINTS } = require('../banner9.js');
+
+const DEFAULT_PORT = 8080;
+
+/**
+ * Finds the recorded answer to one registration app request
+ * @param {Object} recording - {registrationEvents, meetingTimes}, as the CLI reads it
+ * @param {URL} url - Requested address
+ * @returns {*} Response body, or undefined for addresses Banner wouldn't answer
+ */
+function answerRequest(recording, url) {
+  const events = recording.registrationEvents || [];
+  const endpoint = url.pathname.startsWith(BANNER9_APP_PATH) ? url.pathname.substring(BANNER9_APP_PATH.length) : null;
+
+  if (endpoint === BANNER9_ENDPOINTS.registrationEvents) {
+    // An empty termFilter means the session's term; a recording holds only one
+    const term = url.searchParams.get('termFilter');
+    return events.filter(event => !term || !event.term || String(event.term) === term);
+  }
+  if (endpoint === BANNER9_ENDPOINTS.meetingTimes) {
+    const crn = url.searchParams.get('courseReferenceNumber');
+    const response = (recording.meetingTimes || []).find(recorded => ((recorded && recorded.fmt) || [])
+      .some(entry => String(entry.courseReferenceNumber || (entry.meetingTime || {}).courseReferenceNumber) === crn));
+    // Banner answers sections without meeting times with an empty list
+    return response || { fmt: [] };
+  }
+  return undefined;
+}
+
+/**
+ * Creates a server that replays a recording
+ * @param {Object} recording - {registrationEvents, meetingTimes}
+ * @returns {http.Server} Server, not yet listening
+ */
+function createBanner9Server(recording) {
+  return http.createServer((request, response) => {
+    const body = answerRequest(recording, new URL(request.url, 'http://localhost'));
+    if (body === undefined) {
+      response.statusCode = 404;
+      response.end('Not found');
+      return;
+    }
+    response.setHeader('Content-Type', 'application/json');
+    response.end(JSON.stringify(body));
+  });
+}
+
+/**
+ * Serves a recording until stopped
+ * @param {string[]} args - Arguments after the script name
+ * @returns {number|null} Exit code on bad arguments, or null while serving
+ */
+function main(args) {
+  if (args.length === 0 || args.length > 2) {
+    console.error('Usage: node test/banner9-server.js <recording.json> [port]');
+    return 2;
+  }
+
+  const recording = JSON.parse(fs.readFileSync(args[0], 'utf8'));
+  const port = args[1] ? Number(args[1]) : DEFAULT_PORT;
+  const server = createBanner9Server(recording);
+  server.listen(port, () => {
+    console.error(`Serving ${args[0]} at http://localhost:${server.address().port}${BANNER9_APP_PATH} (Ctrl+C to stop)`);
+  });
+  return null;
+}
+
+if (require.main === module) {
+  const code = main(process.argv.slice(2));
+  if (code !== null) {
+    process.exitCode = code;
+  }
+}
+
+module.exports = { answerRequest, createBanner9Server, main };
@@ -0,0 +1,374 @@
+#!/usr/bin/env node
+// Langara Swing Schedule Exporter
+// Direct checks of behaviour the fixture calendars don't pin down on their own
+// (UIDs across schedule changes, week view meetings kept per term, escaping, line
+// folding, the calendar validator, the zip archive, ...). Each check throws on failure.
+//
+//   node test/run-checks.js [name...]
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const core = require('../core.js');
+const { BANNER9_APP_PATH, BANNER9_ENDPOINTS, loadBanner9Schedule } = require('../banner9.js');
+const { parseHTML } = require('../cli/html-document.js');
+const { readInput, convertSchedule } = require('../cli/swing-export.js');
+const { mergeSettings } = require('../settings.js');
+const { createBanner9Server } = require('./banner9-server.js');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures');
+
+const TERM = core.describeTerm('202430');
+
+const CHECKS = [];
+
+/**
+ * Registers a check
+ * @param {string} name - Shown in the output and used to pick checks to run
+ * @param {Function} run - Throws (e.g. through assert) when the check fails; may be async
+ */
+function check(name, run) {
+  CHECKS.push({ name, run });
+}
+
+/**
+ * Builds a session as parseCourseTable returns it
+ * @param {Object} fields - Fields that differ from a Tue/Thu CPSC 1150 lecture
+ * @returns {Object} Course data object
+ */
+function session(fields = {}) {
+  return {
+    crn: '30123',
+    subject: 'CPSC',
+    course: '1150',
+    section: '001',
+    title: 'Program Design',
+    type: 'LECTURE',
+    days: '-T-R---',
+    time: '1030-1220',
+    start: '03-SEP-2024',
+    end: '02-DEC-2024',
+    room: 'A212',
+    status: '**Web Registered**',
+    credits: '3.00',
+    instructor: '',
+    ...fields
+  };
+}
+
+check('UIDs stay the same when a meeting moves to another time or day', () => {
+  const before = core.assignEventUIDs([session(), session({ type: 'LAB', days: 'M------', time: '0830-1020' })], TERM);
+  const after = core.assignEventUIDs([session({ time: '1130-1320' }), session({ type: 'LAB', days: '--W----', time: '0830-1020' })], TERM);
+  assert.deepStrictEqual(after, before);
+  assert.strictEqual(before[0], '202430-30123-lecture-1@langara-swing-exporter');
+});
+
+check('UIDs number the meetings of one section and type', () => {
+  const uids = core.assignEventUIDs([
+    session({ type: 'LAB', days: 'M------' }),
+    session(),
+    session({ type: 'LAB', days: '--W----' })
+  ], TERM);
+  assert.deepStrictEqual(uids, [
+    '202430-30123-lab-1@langara-swing-exporter',
+    '202430-30123-lecture-1@langara-swing-exporter',
+    '202430-30123-lab-2@langara-swing-exporter'
+  ]);
+});
+
+check('the fingerprint behind SEQUENCE changes with the time', () => {
+  assert.notStrictEqual(core.getMeetingFingerprint(session({ time: '1130-1320' })), core.getMeetingFingerprint(session()));
+  assert.strictEqual(core.getMeetingFingerprint(session({ instructor: 'Bob Lee' })), core.getMeetingFingerprint(session()));
+});
+
+/**
+ * Loads the saved week view fixture, moved to another week
+ * @param {string} weekOf - Caption date, e.g. "Sep 16, 2024"
+ * @param {string} termCode - Term the page was saved from
+ * @returns {Object} {document, page} where page is the {url, text} detectTerm reads
+ */
+function loadWeekView(weekOf, termCode) {
+  const html = fs.readFileSync(path.join(FIXTURE_DIR, 'week-view.html'), 'utf8')
+    .replace('Week of Sep 09, 2024', `Week of ${weekOf}`)
+    .replace(/term_in=\d{6}/, `term_in=${termCode}`);
+  const document = parseHTML(html);
+  return { document, page: { url: `https://swing.langara.bc.ca/prod/bwskfshd.P_CrseSchd?term_in=${termCode}`, text: '' } };
+}
+
+check('week view meetings from another term never mix in', () => {
+  const read = (weekOf, termCode, saved) => {
+    const { document, page } = loadWeekView(weekOf, termCode);
+    return core.parseWeekView(document, {}, null, saved, page);
+  };
+
+  const spans = (result) => result.courses.map(course => `${course.days} ${course.start} ${course.end}`);
+
+  const fallWeek1 = read('Sep 09, 2024', '202430', {});
+  const springWeek = read('Jan 13, 2025', '202510', fallWeek1.meetings);
+  assert.strictEqual(springWeek.term.code, '202510');
+  assert.deepStrictEqual(spans(springWeek), [
+    'M------ 13-JAN-2025 13-JAN-2025',
+    'M-W---- 13-JAN-2025 15-JAN-2025',
+    '-T-R--- 14-JAN-2025 16-JAN-2025'
+  ]);
+
+  // Back in Fall, the first Fall week is still merged in
+  const fallWeek2 = read('Sep 16, 2024', '202430', springWeek.meetings);
+  assert.strictEqual(fallWeek2.term.code, '202430');
+  assert.deepStrictEqual(spans(fallWeek2), [
+    'M------ 09-SEP-2024 16-SEP-2024',
+    'M-W---- 09-SEP-2024 18-SEP-2024',
+    '-T-R--- 10-SEP-2024 19-SEP-2024'
+  ]);
+  assert.deepStrictEqual(Object.keys(fallWeek2.meetings).sort(), ['202430', '202510']);
+});
+
+check('text values escape backslashes, separators and line breaks', () => {
+  assert.strictEqual(core.escapeICSText('a\\b;c,d\ne\r\nf\rg\x07h'), 'a\\\\b\\;c\\,d\\ne\\nf\\ngh');
+  assert.strictEqual(core.escapeICSText(''), '');
+  assert.strictEqual(core.escapeICSText(null), '');
+});
+
+/**
+ * Undoes line folding (RFC 5545 section 3.1)
+ * @param {string} content - Folded ICS content
+ * @returns {string} Content with each property on one line
+ */
+function unfold(content) {
+  return content.replace(/\r\n[ \t]/g, '');
+}
+
+check('long UTF-8 lines fold within 75 octets without splitting characters', () => {
+  const line = `SUMMARY:${'Café déjà vu 🎓 计算机科学 '.repeat(8)}`;
+  const folded = core.foldICSLine(line);
+  const lines = folded.split('\r\n');
+  assert.ok(lines.length > 1, 'the line was not folded');
+  lines.forEach((physical, index) => {
+    assert.ok(Buffer.byteLength(physical, 'utf8') <= 75, `line ${index + 1} is longer than 75 octets`);
+    assert.ok(index === 0 || physical.startsWith(' '), `line ${index + 1} does not start with a space`);
+    assert.ok(!/[\uD800-\uDBFF]$/.test(physical) && !/^ ?[\uDC00-\uDFFF]/.test(physical), `line ${index + 1} splits a character`);
+  });
+  assert.strictEqual(unfold(folded), line);
+  assert.strictEqual(core.foldICSLine('SUMMARY:Short'), 'SUMMARY:Short');
+});
+
+check('a calendar with long escaped UTF-8 text validates', () => {
+  const title = 'Programmation en équipe; projets, «tests» et \\ chemins — 프로그래밍 설계 🎓';
+  const ics = core.generateICS([session({ title, instructor: 'Zoë Ñúñez-Ødegård' })], { term: TERM, closures: {} });
+  assert.deepStrictEqual(core.validateICS(ics), []);
+  assert.ok(ics.split('\r\n').some(line => line.startsWith(' ')), 'nothing was folded');
+  assert.ok(unfold(ics).includes(core.escapeICSText(title)), 'the title did not survive folding');
+});
+
+check('the validator rejects a broken calendar', () => {
+  const ics = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Test//EN',
+    'BEGIN:VEVENT',
+    'DTSTAMP:20240101T000000Z',
+    'DTSTART;TZID=America/Vancouver:20240903T103000',
+    'DTEND;TZID=America/Vancouver:20240903T090000',
+    'RRULE:FREQ=SOMETIMES',
+    `SUMMARY:${'x'.repeat(80)}`,
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n');
+  const problems = core.validateICS(ics).join('\n');
+  [/does not end with a line break/, /longer than 75 octets/, /UID/, /DTEND .* is not after DTSTART/, /RRULE|FREQ/, /America\/Vancouver.*VTIMEZONE/]
+    .forEach(pattern => assert.match(problems, pattern));
+
+  assert.match(core.validateICS('BEGIN:VCALENDAR\r\nBEGIN:VEVENT\r\nEND:VCALENDAR\r\n').join('\n'), /never closed|no matching BEGIN/);
+  assert.match(core.validateICS('').join('\n'), /no VCALENDAR/);
+});
+
+check('a term without bundled closure dates is only mentioned in the debug log', () => {
+  const warn = console.warn;
+  const warnings = [];
+  const logged = [];
+  console.warn = (...args) => warnings.push(args.join(' '));
+  core.setDebugLogger((...args) => logged.push(args.join(' ')));
+  try {
+    assert.deepStrictEqual(core.getTermClosures('209930'), {});
+  } finally {
+    console.warn = warn;
+    core.setDebugLogger(null);
+  }
+  assert.deepStrictEqual(warnings, []);
+  assert.deepStrictEqual(logged, ['No bundled closure dates for term 209930']);
+});
+
+check('a Banner 9 page that switched terms loads the term it switched to', async () => {
+  const fall = fs.readFileSync(path.join(FIXTURE_DIR, 'banner9-fall.json'), 'utf8');
+  // The same sections again in Spring, under other CRNs
+  const spring = JSON.parse(fall.replace(/202430/g, '202510').replace(/"3(0\d{3})"/g, '"1$1"'));
+  const recording = JSON.parse(fall);
+  recording.registrationEvents.push(...spring.registrationEvents);
+  recording.meetingTimes.push(...spring.meetingTimes);
+
+  const server = createBanner9Server(recording);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const baseUrl = `http://127.0.0.1:${server.address().port}${BANNER9_APP_PATH}`;
+    const { courses, termCode } = await loadBanner9Schedule({
+      baseUrl,
+      loadedUrls: [
+        `${baseUrl}registration/registration`,
+        `${baseUrl}${BANNER9_ENDPOINTS.registrationEvents}?termFilter=202430`,
+        `${baseUrl}${BANNER9_ENDPOINTS.meetingTimes}?term=202430&courseReferenceNumber=30123`,
+        `${baseUrl}${BANNER9_ENDPOINTS.registrationEvents}?termFilter=202510`
+      ]
+    });
+    assert.strictEqual(termCode, '202510');
+    assert.ok(courses.length > 0, 'no sessions were loaded');
+    assert.deepStrictEqual(courses.filter(course => !course.crn.startsWith('1')), []);
+  } finally {
+    server.close();
+  }
+});
+
+check('expanded recurrences skip closures the same way EXDATE does', () => {
+  // 14 Tuesdays and 14 Thursdays, less one Thursday closure; the bundled Fall closures are all Mondays
+  const course = session({ end: '05-DEC-2024' });
+  const closures = core.getTermClosures('202430', { add: [{ start: '2024-10-10', name: 'Campus closed' }] });
+  const generate = (expandRecurrences) => core.generateICS([course], { term: TERM, closures, settings: mergeSettings({ expandRecurrences }) });
+
+  const weekly = generate(false);
+  assert.deepStrictEqual(core.validateICS(weekly), []);
+  assert.match(weekly, /\r\nRRULE:FREQ=WEEKLY;BYDAY=TU,TH;UNTIL=\d{8}T\d{6}Z\r\n/);
+  assert.match(weekly, /\r\nEXDATE;TZID=America\/Vancouver:20241010T103000\r\n/);
+
+  const expanded = generate(true);
+  assert.deepStrictEqual(core.validateICS(expanded), []);
+  assert.doesNotMatch(expanded.substring(expanded.indexOf('BEGIN:VEVENT')), /^(RRULE|EXDATE)[:;]/m);
+  const starts = expanded.match(/^DTSTART;TZID=America\/Vancouver:\d{8}T103000/gm).map(line => line.slice(-15, -7));
+  assert.strictEqual(starts.length, 27);
+  assert.strictEqual(starts[0], '20240903');
+  assert.strictEqual(starts[starts.length - 1], '20241205');
+  assert.ok(!starts.includes('20241010'), 'the closure was not skipped');
+  assert.ok(starts.every(date => [2, 4].includes(new Date(`${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6)}T00:00:00Z`).getUTCDay())),
+    'a meeting falls outside Tuesday and Thursday');
+  assert.strictEqual(new Set(expanded.match(/^UID:.*$/gm)).size, 27, 'meetings share a UID');
+});
+
+check('meeting type changes in the settings override the built-in categories', () => {
+  const settings = mergeSettings({
+    templates: { default: { summary: '{code}' } },
+    meetingTypes: { 'Field Trip': { prefix: 'Field trip: ', recurs: true, reminders: false, like: 'EXAM' }, LAB: { recurs: 'yes' } }
+  });
+  assert.deepStrictEqual(settings.meetingTypes, { FIELDTRIP: { prefix: 'Field trip: ', recurs: true, reminders: false } });
+
+  const trip = session({ type: 'FIELDTRIP' });
+  const ics = core.generateICS([trip], { term: TERM, closures: {}, settings });
+  assert.deepStrictEqual(core.validateICS(ics), []);
+  assert.match(ics, /\r\nSUMMARY:Field trip: CPSC 1150 001\r\n/);
+  assert.match(ics, /\r\nRRULE:FREQ=WEEKLY;BYDAY=TU,TH;/);
+  assert.doesNotMatch(ics, /BEGIN:VALARM/);
+
+  // Without the changes a field trip is one event with reminders
+  const builtIn = core.generateICS([trip], { term: TERM, closures: {}, settings: mergeSettings({ templates: { default: { summary: '{code}' } } }) });
+  assert.match(builtIn, /\r\nSUMMARY:CPSC 1150 001\r\n/);
+  assert.doesNotMatch(builtIn.substring(builtIn.indexOf('BEGIN:VEVENT')), /^RRULE:/m);
+  assert.match(builtIn, /BEGIN:VALARM/);
+});
+
+/**
+ * Unpacks a stored (uncompressed) ZIP archive, checking its headers and checksums on the way
+ * @param {Uint8Array} zip - Archive bytes
+ * @returns {Array<Object>} [{name, content}] in archive order
+ */
+function readZip(zip) {
+  const bytes = Buffer.from(zip.buffer, zip.byteOffset, zip.byteLength);
+  const end = bytes.length - 22;
+  assert.strictEqual(bytes.readUInt32LE(end), 0x06054B50, 'no end of central directory record');
+  const count = bytes.readUInt16LE(end + 10);
+  let central = bytes.readUInt32LE(end + 16);
+  assert.strictEqual(central + bytes.readUInt32LE(end + 12), end, 'the central directory does not end where the end record starts');
+
+  const files = [];
+  for (let i = 0; i < count; i++) {
+    assert.strictEqual(bytes.readUInt32LE(central), 0x02014B50, `central directory entry ${i + 1} has no signature`);
+    const crc = bytes.readUInt32LE(central + 16);
+    const size = bytes.readUInt32LE(central + 20);
+    const nameLength = bytes.readUInt16LE(central + 28);
+    const name = bytes.toString('utf8', central + 46, central + 46 + nameLength);
+    const offset = bytes.readUInt32LE(central + 42);
+
+    assert.strictEqual(bytes.readUInt32LE(offset), 0x04034B50, `${name} has no local header`);
+    assert.strictEqual(bytes.readUInt16LE(offset + 8), 0, `${name} is compressed`);
+    assert.strictEqual(bytes.readUInt32LE(offset + 14), crc, `${name} has different CRCs in its two headers`);
+    assert.strictEqual(bytes.toString('utf8', offset + 30, offset + 30 + nameLength), name, `${name} has different names in its two headers`);
+    const start = offset + 30 + nameLength + bytes.readUInt16LE(offset + 28);
+    const data = bytes.subarray(start, start + size);
+    assert.strictEqual(zlib.crc32(data), crc, `${name} does not match its CRC`);
+
+    files.push({ name, content: data.toString('utf8') });
+    central += 46 + nameLength + bytes.readUInt16LE(central + 30) + bytes.readUInt16LE(central + 32);
+  }
+  return files;
+}
+
+check('createZip stores files with UTF-8 names and correct CRCs', () => {
+  const files = [{ name: 'Café 🎓.ics', content: 'Déjà vu\r\n' }, { name: 'empty.txt', content: '' }];
+  const zip = core.createZip(files, new Date(2024, 8, 3, 10, 30));
+  assert.deepStrictEqual(readZip(zip), files);
+  assert.strictEqual(Buffer.from(zip).readUInt16LE(6) & 0x0800, 0x0800, 'names are not marked as UTF-8');
+
+  // A damaged file is caught by its CRC
+  const damaged = Uint8Array.from(zip);
+  damaged[30 + Buffer.byteLength(files[0].name)] ^= 0xFF;
+  assert.throws(() => readZip(damaged), /does not match its CRC/);
+});
+
+check('the per-course zip export holds one valid calendar per course', async () => {
+  const settings = mergeSettings();
+  const options = { format: 'zip', term: null, includeDropped: false };
+  const { courses, term } = await readInput(path.join(FIXTURE_DIR, 'course-view-fall.html'), options, settings);
+  const files = readZip(convertSchedule(courses, term, options, settings).content);
+
+  // ENGL 1127 W02 was dropped, so it gets no calendar
+  assert.deepStrictEqual(files.map(file => file.name), ['CPSC 1150 001.ics', 'MATH 1171 M01.ics']);
+  files.forEach(({ name, content }) => {
+    assert.deepStrictEqual(core.validateICS(content), [], `${name} does not validate`);
+    assert.match(content, new RegExp(`X-WR-CALNAME:${name.replace('.ics', '')} - `));
+  });
+});
+
+/**
+ * Runs the checks
+ * @param {string[]} args - Check names (or parts of them) to limit the run to
+ * @returns {Promise<number>} Exit code
+ */
+async function main(args) {
+  const checks = CHECKS.filter(({ name }) => args.length === 0 || args.some(arg => name.includes(arg)));
+  if (checks.length === 0) {
+    console.error('No checks matched.');
+    return 2;
+  }
+
+  let failures = 0;
+  for (const { name, run } of checks) {
+    try {
+      await run();
+      console.log(`ok   ${name}`);
+    } catch (error) {
+      failures++;
+      console.log(`FAIL ${name}: ${error.message}`);
+    }
+  }
+
+  console.log(`\n${checks.length - failures} of ${checks.length} check(s) passed`);
+  return failures > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { check, session, main };
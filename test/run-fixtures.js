@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+// Langara Swing Schedule Exporter
+// Fixture regression suite: converts every saved Banner page and recorded Banner 9
+// JSON file in test/fixtures with the command line tool and compares the calendar
+// with the expected .ics next to it. Recordings are also served by
+// banner9-server.js and fetched through the CLI's address mode, which must give
+// the same calendar. A fixture may have settings in <name>.settings.json. The
+// fixtures in FORMAT_FIXTURES are also exported in the other text formats and
+// compared with the files in formats/ (e.g. course-view-fall.csv, course-view-fall.gcal.csv).
+//
+//   node test/run-fixtures.js [--update] [name...]
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const { readInput, convertSchedule } = require('../cli/swing-export.js');
+const { EXPORTERS } = require('../core.js');
+const { mergeSettings } = require('../settings.js');
+const { BANNER9_APP_PATH } = require('../banner9.js');
+const { createBanner9Server } = require('./banner9-server.js');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures');
+
+// Expected exports in the other formats, kept apart so they aren't read as inputs
+const FORMAT_DIR = path.join(FIXTURE_DIR, 'formats');
+
+// Saved pages and Banner 9 recordings the suite converts
+const INPUT_EXTENSIONS = ['.html', '.json'];
+
+// Fixture settings files, which share the .json extension with recordings
+const SETTINGS_SUFFIX = '.settings.json';
+
+// Fixtures whose CSV, Google Calendar CSV, JSON and printable timetable exports are pinned too
+const FORMAT_FIXTURES = ['course-view-fall', 'course-view-tba'];
+
+// Text formats compared besides the calendar (the ZIP is checked by run-checks.js)
+const EXTRA_FORMATS = ['csv', 'gcal', 'json', 'html'];
+
+// DTSTAMP and the JSON generatedAt are the time of the export; expected files hold these values instead
+const FIXED_DTSTAMP = 'DTSTAMP:20240101T000000Z';
+const FIXED_GENERATED_AT = '"generatedAt": "2024-01-01T00:00:00.000Z"';
+
+/**
+ * Lists the fixtures to run
+ * @param {string[]} names - Fixture names (with or without extension) to limit the run to
+ * @returns {string[]} Input file names in the fixture directory
+ */
+function listFixtures(names) {
+  const inputs = fs.readdirSync(FIXTURE_DIR)
+    .filter(file => INPUT_EXTENSIONS.includes(path.extname(file)) && !file.endsWith(SETTINGS_SUFFIX))
+    .sort();
+  if (names.length === 0) return inputs;
+
+  const wanted = new Set(names.map(name => path.basename(name, path.extname(name))));
+  return inputs.filter(file => wanted.has(path.basename(file, path.extname(file))));
+}
+
+/**
+ * Replaces the parts of an export that change from run to run
+ * @param {string} content - Exported file content
+ * @returns {string} Content with a fixed DTSTAMP and generatedAt
+ */
+function normalizeOutput(content) {
+  return content
+    .replace(/^DTSTAMP:\d{8}T\d{6}Z$/gm, FIXED_DTSTAMP)
+    .replace(/"generatedAt": "[^"]*"/, FIXED_GENERATED_AT);
+}
+
+/**
+ * Finds the expected output of one fixture in one format
+ * @param {string} name - Fixture name without extension
+ * @param {string} format - Key into EXPORTERS
+ * @returns {string} Path, e.g. ".../fixtures/course-view-fall.ics" or ".../fixtures/formats/course-view-fall.gcal.csv"
+ */
+function getExpectedPath(name, format) {
+  return format === 'ics'
+    ? path.join(FIXTURE_DIR, `${name}.ics`)
+    : path.join(FORMAT_DIR, `${name}.${format === EXPORTERS[format].extension ? '' : `${format}.`}${EXPORTERS[format].extension}`);
+}
+
+/**
+ * Describes the first line where two calendars differ
+ * @param {string} expected - Expected ICS content
+ * @param {string} actual - Generated ICS content
+ * @returns {string} Line number with both versions of the line
+ */
+function describeDifference(expected, actual) {
+  const expectedLines = expected.split(/\r?\n/);
+  const actualLines = actual.split(/\r?\n/);
+  const length = Math.max(expectedLines.length, actualLines.length);
+  for (let i = 0; i < length; i++) {
+    if (expectedLines[i] !== actualLines[i]) {
+      const show = line => (line === undefined ? '(end of file)' : JSON.stringify(line));
+      return `line ${i + 1}:\n    expected ${show(expectedLines[i])}\n    actual   ${show(actualLines[i])}`;
+    }
+  }
+  return 'line endings differ';
+}
+
+/**
+ * Reads a Banner 9 recording back through the CLI's address mode, from a stand-in server
+ * @param {string} file - Recording path
+ * @param {Object} options - CLI options
+ * @param {Object} settings - Complete settings object
+ * @returns {Promise<Object>} {courses, term}, as readInput returns
+ */
+async function readFromServer(file, options, settings) {
+  const server = createBanner9Server(JSON.parse(fs.readFileSync(file, 'utf8')));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    return await readInput(`http://127.0.0.1:${server.address().port}${BANNER9_APP_PATH}`, options, settings);
+  } finally {
+    server.close();
+  }
+}
+
+/**
+ * Converts one fixture and compares (or, with update, rewrites) its expected outputs
+ * @param {string} file - Input file name in the fixture directory
+ * @param {boolean} update - Write the expected files instead of comparing
+ * @returns {Promise<string|null>} Why the fixture failed, or null if it passed
+ */
+async function runFixture(file, update) {
+  const name = path.basename(file, path.extname(file));
+  const settingsPath = path.join(FIXTURE_DIR, `${name}${SETTINGS_SUFFIX}`);
+
+  const settings = mergeSettings(fs.existsSync(settingsPath) ? JSON.parse(fs.readFileSync(settingsPath, 'utf8')) : {});
+  const options = { format: 'ics', term: null, includeDropped: false };
+  const schedule = await readInput(path.join(FIXTURE_DIR, file), options, settings);
+  const convert = (input, format) => normalizeOutput(convertSchedule(input.courses, input.term, { ...options, format }, settings).content);
+
+  const outputs = { ics: convert(schedule, 'ics') };
+  if (FORMAT_FIXTURES.includes(name)) {
+    EXTRA_FORMATS.forEach(format => {
+      outputs[format] = convert(schedule, format);
+    });
+  }
+
+  if (path.extname(file) === '.json') {
+    const served = convert(await readFromServer(path.join(FIXTURE_DIR, file), options, settings), 'ics');
+    if (served !== outputs.ics) {
+      return `fetching from banner9-server.js gives a different calendar than reading the file, ${describeDifference(outputs.ics, served)}`;
+    }
+  }
+
+  for (const [format, actual] of Object.entries(outputs)) {
+    const expectedPath = getExpectedPath(name, format);
+    const expectedFile = path.relative(FIXTURE_DIR, expectedPath);
+    if (update) {
+      fs.mkdirSync(path.dirname(expectedPath), { recursive: true });
+      fs.writeFileSync(expectedPath, actual);
+      continue;
+    }
+    if (!fs.existsSync(expectedPath)) {
+      return `no expected ${format} output; run with --update to create ${expectedFile}`;
+    }
+    const expected = fs.readFileSync(expectedPath, 'utf8');
+    if (expected !== actual) {
+      return `${expectedFile} differs at ${describeDifference(expected, actual)}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Runs the suite
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+async function main(args) {
+  const update = args.includes('--update');
+  const files = listFixtures(args.filter(arg => arg !== '--update'));
+  if (files.length === 0) {
+    console.error('No fixtures matched.');
+    return 2;
+  }
+
+  let failures = 0;
+  for (const file of files) {
+    let problem;
+    try {
+      problem = await runFixture(file, update);
+    } catch (error) {
+      problem = error.message;
+    }
+    if (problem) {
+      failures++;
+      console.log(`FAIL ${file}: ${problem}`);
+    } else {
+      console.log(`${update ? 'updated' : 'ok'}   ${file}`);
+    }
+  }
+
+  console.log(`\n${files.length - failures} of ${files.length} fixture(s) ${update ? 'updated' : 'passed'}`);
+  return failures > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { listFixtures, normalizeOutput, getExpectedPath, runFixture, main };